@@ -0,0 +1,141 @@
+const { AppwriteException } = require('node-appwrite');
+const { DEFAULT_RATE_LIMIT } = require('../src/rateLimit');
+const { DEFAULT_BUCKETS } = require('../src/services');
+
+// In-memory stand-ins for the services in src/services.js, for tests and the
+// local runner: Appwrite collections and a storage bucket kept in plain
+// objects, and a stub language model that answers without a network call.
+
+const notFound = (what) => new AppwriteException(`${what} could not be found.`, 404, 'document_not_found');
+
+let lastId = 0;
+const uniqueId = (id) => (id && id !== 'unique()' ? id : `fake${(lastId += 1).toString().padStart(6, '0')}`);
+
+// The subset of Appwrite queries the function uses
+const QUERY_HANDLERS = {
+    equal: (docs, { attribute, values }) => docs.filter(doc => values.includes(doc[attribute])),
+    orderAsc: (docs, { attribute }) => [...docs].sort((a, b) => (a[attribute] > b[attribute] ? 1 : a[attribute] < b[attribute] ? -1 : 0)),
+    orderDesc: (docs, { attribute }) => [...docs].sort((a, b) => (a[attribute] < b[attribute] ? 1 : a[attribute] > b[attribute] ? -1 : 0)),
+    greaterThan: (docs, { attribute, values }) => docs.filter(doc => doc[attribute] > values[0]),
+    limit: (docs, { values }) => docs.slice(0, values[0])
+};
+
+// Databases with one map of documents per collection id. `collections` seeds
+// them, e.g. { talents: [...], careerPaths: [...] }; documents without an
+// `$id` get one.
+function createFakeDatabases(collections = {}) {
+    const store = {};
+    const collection = (id) => {
+        if (!store[id]) store[id] = new Map();
+        return store[id];
+    };
+
+    const save = (collectionId, documentId, data) => {
+        const now = new Date().toISOString();
+        const doc = { $id: uniqueId(documentId), $createdAt: now, $updatedAt: now, ...data };
+        collection(collectionId).set(doc.$id, doc);
+        return doc;
+    };
+
+    Object.entries(collections).forEach(([collectionId, docs]) => {
+        docs.forEach(doc => save(collectionId, doc.$id, doc));
+    });
+
+    return {
+        store,
+
+        async listDocuments(databaseId, collectionId, queries = []) {
+            let docs = [...collection(collectionId).values()];
+            queries.map(query => JSON.parse(query)).forEach((query) => {
+                const handler = QUERY_HANDLERS[query.method];
+                if (!handler) throw new Error(`Query ${query.method} isn't supported by the fake databases`);
+                docs = handler(docs, query);
+            });
+            return { total: docs.length, documents: docs };
+        },
+
+        async getDocument(databaseId, collectionId, documentId) {
+            const doc = collection(collectionId).get(documentId);
+            if (!doc) throw notFound('Document with the requested ID');
+            return doc;
+        },
+
+        async createDocument(databaseId, collectionId, documentId, data) {
+            return save(collectionId, documentId, data);
+        },
+
+        async updateDocument(databaseId, collectionId, documentId, data) {
+            const doc = collection(collectionId).get(documentId);
+            if (!doc) throw notFound('Document with the requested ID');
+            Object.assign(doc, data, { $updatedAt: new Date().toISOString() });
+            return doc;
+        },
+
+        async deleteDocument(databaseId, collectionId, documentId) {
+            if (!collection(collectionId).delete(documentId)) throw notFound('Document with the requested ID');
+            return {};
+        }
+    };
+}
+
+function createFakeStorage() {
+    const files = new Map();
+
+    return {
+        files,
+
+        async createFile(bucketId, fileId, file) {
+            const id = uniqueId(fileId);
+            files.set(id, { name: file.name, data: Buffer.from(await file.arrayBuffer()) });
+            return { $id: id, bucketId, name: file.name };
+        },
+
+        async getFileDownload(bucketId, fileId) {
+            const file = files.get(fileId);
+            if (!file) throw notFound('File with the requested ID');
+            return file.data;
+        }
+    };
+}
+
+const STUB_SUMMARY = 'Motivated professional with a solid foundation in the skills listed below, '
+    + 'eager to contribute to a team and keep learning.';
+
+// Bullets for description rewrites, a short paragraph for everything else
+const stubReply = (prompt) => (prompt.includes('achievement bullets')
+    ? '- Delivered the work described in the original entry\n- Collaborated with the team to ship it on schedule'
+    : STUB_SUMMARY);
+
+// A provider answering with `reply(prompt)` (or a fixed string), or failing
+// every call when `fail` is set
+function createStubProvider({ reply = stubReply, fail = false } = {}) {
+    return {
+        name: 'stub',
+        generate: async (prompt) => {
+            if (fail) throw new Error('Stub language model is set to fail');
+            return typeof reply === 'function' ? reply(prompt) : reply;
+        }
+    };
+}
+
+// Everything createHandler needs. Without providers the function uses its
+// fallback summary, as it does when no API key is configured.
+function createFakeServices({ collections = {}, llm = {}, llmProviders, rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+    return {
+        client: { config: { endpoint: 'http://localhost/v1', project: 'local' } },
+        databases: createFakeDatabases(collections),
+        storage: createFakeStorage(),
+        buckets: DEFAULT_BUCKETS,
+        llmProviders: llmProviders || [createStubProvider(llm)],
+        llmOptions: { maxRetries: 0, baseDelayMs: 0, timeoutMs: 5000 },
+        rateLimit
+    };
+}
+
+module.exports = {
+    STUB_SUMMARY,
+    createFakeDatabases,
+    createFakeStorage,
+    createStubProvider,
+    createFakeServices
+};
@@ -0,0 +1,22 @@
+// Call the handler the way Appwrite does, with a response object that
+// captures what the action returns. Resolves to { status, body, headers }.
+async function invoke(handler, { method = 'POST', path = '/', body = {}, headers = {} } = {}, { log = () => {}, error = () => {} } = {}) {
+    let response = null;
+    const res = {
+        json: (payload, status = 200, headers = {}) => (response = { status, body: payload, headers }),
+        send: (payload, status = 200, headers = {}) => (response = { status, body: payload, headers })
+    };
+
+    const req = {
+        method,
+        path,
+        headers,
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        bodyJson: typeof body === 'string' ? null : body
+    };
+
+    await handler({ req, res, log, error });
+    return response;
+}
+
+module.exports = { invoke };
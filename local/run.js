@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { createHandler } = require('../src/main');
+const { OUTPUT_FORMATS } = require('../src/outputs');
+const { createFakeServices } = require('./fakeServices');
+const { invoke } = require('./invoke');
+
+// Run the function on this machine against a fixture file, with in-memory
+// collections and a stub language model instead of Appwrite and Gemini:
+//
+//   node local/run.js local/fixtures/pathfinder.json [--out output] [--llm-fail] [--no-llm] [--verbose]
+//
+// A fixture holds the documents to seed and the request to send:
+//   { "collections": { "talents": [...], "careerPaths": [...] },
+//     "request": { "method": "POST", "path": "/generate", "body": { ... } } }
+//
+// Generated documents are written to the output directory (./output by
+// default) and the rest of the response is printed.
+
+const USAGE = 'Usage: node local/run.js <fixture.json> [--out <dir>] [--llm-fail] [--no-llm] [--verbose]';
+
+function parseArgs(argv) {
+    const args = { out: 'output', llmFail: false, noLlm: false, verbose: false };
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        if (arg === '--out') args.out = argv[(index += 1)];
+        else if (arg === '--llm-fail') args.llmFail = true;
+        else if (arg === '--no-llm') args.noLlm = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (!args.fixture && !arg.startsWith('--')) args.fixture = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!args.fixture || !args.out) throw new Error(USAGE);
+    return args;
+}
+
+const isBinary = (mimeType) => !/^text\/|json/.test(mimeType);
+
+// Write every document in the response to `dir` and return the response
+// without them, with the file paths instead
+function writeDocuments(body, dir, baseName) {
+    const files = [];
+    const save = (name, contents) => {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, contents);
+        files.push(file);
+    };
+
+    const rest = { ...body };
+    Object.values(OUTPUT_FORMATS).forEach(({ field, mimeType, extension }) => {
+        if (rest[field] === undefined) return;
+        const value = rest[field];
+        if (isBinary(mimeType)) save(`${baseName}.${extension}`, Buffer.from(value, 'base64'));
+        else save(`${baseName}.${extension}`, typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        delete rest[field];
+    });
+    if (rest.zipData) {
+        save(rest.fileName || `${baseName}.zip`, Buffer.from(rest.zipData, 'base64'));
+        delete rest.zipData;
+    }
+
+    return files.length > 0 ? { ...rest, files } : rest;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const fixture = JSON.parse(fs.readFileSync(args.fixture, 'utf8'));
+
+    const services = createFakeServices({
+        collections: fixture.collections,
+        llm: { fail: args.llmFail },
+        ...(args.noLlm && { llmProviders: [] })
+    });
+    const handler = createHandler(services);
+
+    const response = await invoke(handler, fixture.request, {
+        log: (...parts) => args.verbose && console.error(...parts),
+        error: (...parts) => console.error(...parts)
+    });
+
+    const baseName = path.basename(args.fixture, '.json');
+    const body = typeof response.body === 'object' ? writeDocuments(response.body, args.out, baseName) : response.body;
+    console.log(JSON.stringify({ status: response.status, body }, null, 2));
+    if (response.status >= 400) process.exitCode = 1;
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
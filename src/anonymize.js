@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+// Blind hiring: the CV without the talent's name, contact details, locations
+// or other personal identifiers. The header gets a stable candidate reference
+// instead of the name, and free text is scrubbed. Every redaction is reported
+// so the talent can check what was taken out (and spot anything that wasn't).
+
+const PLACEHOLDERS = {
+    name: '[name]',
+    location: '[location]',
+    email: '[email]',
+    phone: '[phone]',
+    link: '[link]'
+};
+
+// Locations that say how someone worked rather than where
+const WORK_MODES = ['remote', 'hybrid', 'onsite', 'on-site', 'online', 'worldwide', 'anywhere'];
+
+// Personal profile links, as opposed to links to a company or a product
+const PROFILE_URL = /\b(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com\/in|github\.com|gitlab\.com|twitter\.com|x\.com|facebook\.com|instagram\.com)\/[^\s,;)]*[^\s,;).!?]/gi;
+const EMAIL = /[^\s@<>()]+@[^\s@<>()]+\.[A-Za-z]{2,}/g;
+// International numbers only; local formats look too much like dates and figures
+const PHONE = /\+\d[\d ()\-.]{6,}\d/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only: "Ana" is redacted, "Banana" is not
+const wordPattern = (terms) => new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+);
+
+// "Candidate C-3F9A12BC", the same for a talent every time
+function candidateReference(talentId) {
+    const hash = crypto.createHash('sha256').update(String(talentId)).digest('hex');
+    return `Candidate C-${hash.slice(0, 8).toUpperCase()}`;
+}
+
+// Terms to look for in free text: the talent's name and its parts, the
+// locations of their entries and their own contact details
+function personalTerms(cv, { talent, contactInfo = {} }) {
+    const fullName = String(talent.fullname || '').trim();
+    const names = [fullName, ...fullName.split(/\s+/)].filter(part => part.length > 1);
+
+    const locations = [...cv.education, ...cv.experience, ...cv.volunteering]
+        .map(entry => entry.location)
+        .filter(Boolean)
+        .flatMap(location => [location, ...location.split(',').map(part => part.trim())])
+        .filter(part => part.length > 2 && !WORK_MODES.includes(part.toLowerCase()));
+
+    const links = [
+        ...cv.contact.links.map(link => link.url),
+        ...['linkedin', 'github', 'portfolio'].map(key => contactInfo[key]).filter(Boolean)
+    ].flatMap(url => [url, url.replace(/^https?:\/\//i, '').replace(/^www\./i, '')]);
+
+    return {
+        // Longest first, so "Amina Njoroge" goes before "Amina"
+        name: [...new Set(names)].sort((a, b) => b.length - a.length),
+        location: [...new Set(locations)].sort((a, b) => b.length - a.length),
+        link: [...new Set(links)].sort((a, b) => b.length - a.length),
+        phone: [cv.contact.phone, contactInfo.phone].filter(Boolean),
+        email: [cv.contact.email, contactInfo.email].filter(Boolean)
+    };
+}
+
+// Replace every identifier in a piece of text. Returns the scrubbed text and
+// what was found, in the order the checks ran.
+function scrubText(text, terms) {
+    const found = [];
+    const replace = (pattern, type) => {
+        text = text.replace(pattern, (match) => {
+            found.push({ type, text: match });
+            return PLACEHOLDERS[type];
+        });
+    };
+
+    // Addresses and links first: they can contain the name. A link is
+    // redacted with any path that follows it.
+    replace(EMAIL, 'email');
+    replace(PROFILE_URL, 'link');
+    if (terms.link.length > 0) replace(new RegExp(`(?:${terms.link.map(escapeRegExp).join('|')})(?:[^\\s,;)]*[^\\s,;).!?])?`, 'gi'), 'link');
+    terms.phone.forEach((phone) => {
+        // The same digits in any grouping
+        const digits = phone.replace(/\D/g, '').split('');
+        replace(new RegExp(`\\+?${digits.join('[\\s()\\-.]*')}`, 'g'), 'phone');
+    });
+    replace(PHONE, 'phone');
+    if (terms.name.length > 0) replace(wordPattern(terms.name), 'name');
+    if (terms.location.length > 0) replace(wordPattern(terms.location), 'location');
+
+    return { text, found };
+}
+
+// An anonymized copy of a CV model and the list of redactions, each
+// { field, type, text } with the field as a path into the CV model
+function anonymizeCv(cv, { talent, contactInfo }) {
+    const terms = personalTerms(cv, { talent, contactInfo });
+    const redactions = [];
+
+    const redact = (field, type, value) => {
+        if (value) redactions.push({ field, type, text: value });
+    };
+    const scrub = (field, value) => {
+        if (!value) return value;
+        const result = scrubText(value, terms);
+        result.found.forEach(item => redactions.push({ field, ...item }));
+        return result.text;
+    };
+    const scrubList = (field, values) => values.map((value, index) => scrub(`${field}[${index}]`, value));
+
+    const reference = candidateReference(talent.talentId || talent.$id);
+    redact('name', 'name', cv.name);
+    redact('contact.email', 'email', cv.contact.email);
+    redact('contact.phone', 'phone', cv.contact.phone);
+    cv.contact.links.forEach((link, index) => redact(`contact.links[${index}]`, 'link', link.url));
+    if (cv.photo) redact('photo', 'photo', 'Profile photo');
+    if (cv.qrCode) redact('qrCode', 'link', cv.qrCode.url);
+
+    const anonymized = {
+        ...cv,
+        name: reference,
+        contact: { email: null, phone: null, links: [] },
+        photo: null,
+        qrCode: null,
+        summary: scrub('summary', cv.summary),
+        education: cv.education.map((edu, index) => {
+            redact(`education[${index}].location`, 'location', edu.location);
+            return { ...edu, location: '' };
+        }),
+        experience: cv.experience.map((exp, index) => {
+            redact(`experience[${index}].location`, 'location', exp.location);
+            return {
+                ...exp,
+                location: '',
+                description: scrub(`experience[${index}].description`, exp.description),
+                highlights: scrubList(`experience[${index}].highlights`, exp.highlights)
+            };
+        }),
+        projects: cv.projects.map((project, index) => {
+            // Project links usually point at the talent's own accounts
+            redact(`projects[${index}].link`, 'link', project.link);
+            return {
+                ...project,
+                link: '',
+                description: scrub(`projects[${index}].description`, project.description),
+                highlights: scrubList(`projects[${index}].highlights`, project.highlights),
+                details: scrubList(`projects[${index}].details`, project.details)
+            };
+        }),
+        certifications: cv.certifications.map((cert, index) => {
+            redact(`certifications[${index}].link`, 'link', cert.link);
+            return { ...cert, link: '' };
+        }),
+        volunteering: cv.volunteering.map((item, index) => {
+            redact(`volunteering[${index}].location`, 'location', item.location);
+            return {
+                ...item,
+                location: '',
+                description: scrub(`volunteering[${index}].description`, item.description),
+                highlights: scrubList(`volunteering[${index}].highlights`, item.highlights)
+            };
+        }),
+        awards: cv.awards.map((award, index) => ({
+            ...award,
+            description: scrub(`awards[${index}].description`, award.description)
+        })),
+        publications: cv.publications.map((publication, index) => {
+            redact(`publications[${index}].link`, 'link', publication.link);
+            return {
+                ...publication,
+                link: '',
+                description: scrub(`publications[${index}].description`, publication.description)
+            };
+        }),
+        // Referees would identify the candidate; they're available on request instead
+        references: [],
+        referencesOnRequest: cv.referencesOnRequest || cv.references.length > 0
+    };
+    cv.references.forEach((ref, index) => redact(`references[${index}]`, 'reference', ref.name));
+
+    return { cv: anonymized, reference, redactions };
+}
+
+module.exports = {
+    candidateReference,
+    scrubText,
+    anonymizeCv
+};
@@ -0,0 +1,52 @@
+const JSZip = require('jszip');
+
+// Batch generation for advisors and school partners: the CVs of a whole
+// cohort in one ZIP, next to a manifest.json saying what happened for each
+// talent. The ZIP holds a PDF for every talent whose CV was generated.
+
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const MANIFEST_FILE = 'manifest.json';
+
+// "cv-ana-muller-T1.pdf"; the talentId keeps names unique within a batch.
+// Anonymized CVs are named after their candidate reference alone.
+function batchFileName(talent, { reference } = {}) {
+    const slug = String(reference || talent.fullname || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    const id = String(talent.talentId).replace(/[^A-Za-z0-9_-]/g, '_');
+    if (reference) return `cv-${slug}.pdf`;
+    return `cv-${slug ? `${slug}-` : ''}${id}.pdf`;
+}
+
+// Counts and per-talent results, without the PDFs themselves
+function buildManifest(results) {
+    const succeeded = results.filter(result => result.status === 'success').length;
+    return {
+        generatedAt: new Date().toISOString(),
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        talents: results.map(({ pdf, ...result }) => result)
+    };
+}
+
+// The ZIP as a buffer: one PDF per successful talent, plus the manifest
+async function createBatchArchive(results, manifest) {
+    const zip = new JSZip();
+    results
+        .filter(result => result.pdf)
+        .forEach(result => zip.file(result.file, result.pdf));
+    zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    DEFAULT_BATCH_CONCURRENCY,
+    MANIFEST_FILE,
+    batchFileName,
+    buildManifest,
+    createBatchArchive
+};
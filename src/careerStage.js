@@ -0,0 +1,44 @@
+const { SECTION_ORDER } = require('./cvModel');
+
+// Career stage context for better summaries and cover letters
+const getCareerStageContext = (stage) => {
+    switch (stage) {
+        case 'Pathfinder':
+            return {
+                description: 'Someone finding their feet in career life, looking for their career and learning',
+                tone: 'eager to learn, motivated, entry-level focused',
+                focus: 'learning potential, foundational skills, enthusiasm'
+            };
+        case 'Trailblazer':
+            return {
+                description: 'Someone with a career looking to continue growth',
+                tone: 'experienced, growth-oriented, seeking advancement',
+                focus: 'proven experience, leadership potential, continuous improvement'
+            };
+        case 'Horizon Changer':
+            return {
+                description: 'Someone in a career path looking to pivot to another',
+                tone: 'transitioning, leveraging transferable skills, adaptive',
+                focus: 'transferable skills, adaptability, career transition goals'
+            };
+        default:
+            return {
+                description: 'Professional seeking career development',
+                tone: 'professional, adaptable',
+                focus: 'skills and experience'
+            };
+    }
+};
+
+// Default CV section order per stage: someone starting out leads with what
+// they studied and built, an experienced professional with their track record,
+// and a career changer with the skills they bring along
+const STAGE_SECTION_ORDER = {
+    Pathfinder: ['summary', 'education', 'projects', 'skills', 'languages', 'experience', 'volunteering', 'certifications', 'awards', 'publications', 'interests', 'references'],
+    Trailblazer: ['summary', 'experience', 'skills', 'projects', 'certifications', 'awards', 'publications', 'education', 'languages', 'volunteering', 'interests', 'references'],
+    'Horizon Changer': ['summary', 'skills', 'experience', 'volunteering', 'projects', 'certifications', 'awards', 'education', 'languages', 'publications', 'interests', 'references']
+};
+
+const getSectionOrder = (stage) => STAGE_SECTION_ORDER[stage] || SECTION_ORDER;
+
+module.exports = { STAGE_SECTION_ORDER, getCareerStageContext, getSectionOrder };
@@ -0,0 +1,37 @@
+// Small helpers for running async work with a cap on how much is in flight
+
+// `limit(task)` runs `task()` once fewer than `max` limited tasks are running
+// and resolves or rejects like it
+function createLimiter(max) {
+    let running = 0;
+    const queue = [];
+
+    const next = () => {
+        if (running >= max || queue.length === 0) return;
+        const { task, resolve, reject } = queue.shift();
+        running += 1;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                running -= 1;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Like Promise.all(items.map(fn)), with at most `max` calls of `fn` running
+async function mapWithConcurrency(items, max, fn) {
+    const limit = createLimiter(max);
+    return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+module.exports = {
+    createLimiter,
+    mapWithConcurrency
+};
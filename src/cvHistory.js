@@ -0,0 +1,105 @@
+const { ID, Query } = require('node-appwrite');
+const { InputFile } = require('node-appwrite/file');
+
+// Generated CVs are kept as PDF files in the `buckets.cvs` Storage bucket
+// (see services.js), with one document per version in the `cvs` collection
+// of the `career4me` database:
+//   talentId (string), version (integer), template (string), fileId (string),
+//   summary (string), inputSnapshot (string, JSON), generatedAt (datetime)
+const DATABASE_ID = 'career4me';
+const CVS_COLLECTION = 'cvs';
+
+const MAX_VERSIONS_LISTED = 100;
+
+const downloadUrl = ({ client, buckets }, fileId) => {
+    const { endpoint, project } = client.config;
+    return `${endpoint}/storage/buckets/${buckets.cvs}/files/${fileId}/download?project=${encodeURIComponent(project)}`;
+};
+
+const toVersion = (services, doc) => ({
+    id: doc.$id,
+    talentId: doc.talentId,
+    version: doc.version,
+    template: doc.template,
+    fileId: doc.fileId,
+    downloadUrl: downloadUrl(services, doc.fileId),
+    summary: doc.summary,
+    generatedAt: doc.generatedAt || doc.$createdAt
+});
+
+async function latestVersionNumber(databases, talentId) {
+    const latest = await databases.listDocuments(DATABASE_ID, CVS_COLLECTION, [
+        Query.equal('talentId', talentId),
+        Query.orderDesc('version'),
+        Query.limit(1)
+    ]);
+    return latest.documents.length > 0 ? latest.documents[0].version : 0;
+}
+
+// Upload a generated PDF and record it as the talent's next CV version
+async function saveCvVersion(services, { talentId, template, summary, inputSnapshot, pdfBuffer }) {
+    const { databases, storage, buckets } = services;
+    const version = (await latestVersionNumber(databases, talentId)) + 1;
+
+    const file = await storage.createFile(
+        buckets.cvs,
+        ID.unique(),
+        InputFile.fromBuffer(pdfBuffer, `cv-${talentId}-v${version}.pdf`)
+    );
+
+    const doc = await databases.createDocument(DATABASE_ID, CVS_COLLECTION, ID.unique(), {
+        talentId,
+        version,
+        template,
+        fileId: file.$id,
+        summary,
+        inputSnapshot: JSON.stringify(inputSnapshot),
+        generatedAt: new Date().toISOString()
+    });
+
+    return toVersion(services, doc);
+}
+
+// All stored versions for a talent, newest first
+async function listCvVersions(services, talentId) {
+    const result = await services.databases.listDocuments(DATABASE_ID, CVS_COLLECTION, [
+        Query.equal('talentId', talentId),
+        Query.orderDesc('version'),
+        Query.limit(MAX_VERSIONS_LISTED)
+    ]);
+    return {
+        total: result.total,
+        versions: result.documents.map(doc => toVersion(services, doc))
+    };
+}
+
+// One stored version (the latest when no version is given), optionally with
+// the PDF itself; null when it doesn't exist
+async function getCvVersion(services, talentId, version, { includeFile = false } = {}) {
+    const queries = [Query.equal('talentId', talentId), Query.orderDesc('version'), Query.limit(1)];
+    if (version !== undefined) {
+        queries.unshift(Query.equal('version', version));
+    }
+
+    const result = await services.databases.listDocuments(DATABASE_ID, CVS_COLLECTION, queries);
+    if (result.documents.length === 0) return null;
+
+    const doc = result.documents[0];
+    const cvVersion = {
+        ...toVersion(services, doc),
+        inputSnapshot: doc.inputSnapshot ? JSON.parse(doc.inputSnapshot) : null
+    };
+
+    if (includeFile) {
+        const file = await services.storage.getFileDownload(services.buckets.cvs, doc.fileId);
+        cvVersion.pdfData = Buffer.from(file).toString('base64');
+    }
+
+    return cvVersion;
+}
+
+module.exports = {
+    saveCvVersion,
+    listCvVersions,
+    getCvVersion
+};
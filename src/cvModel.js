@@ -0,0 +1,215 @@
+const { DEFAULT_DATE_FORMAT, parseDate, isPresent, formatDate } = require('./dates');
+const { entryPeriod, durationInMonths } = require('./timeline');
+const { DEFAULT_LOCALE, LOCALES, getLocale } = require('./locales');
+const { groupSkills } = require('./skills');
+
+// Normalized CV data model shared by every template and renderer
+
+// Every section id, in the order used when nothing else is asked for
+const SECTION_ORDER = ['summary', 'education', 'experience', 'volunteering', 'projects', 'skills', 'languages', 'certifications', 'awards', 'publications', 'interests', 'references'];
+
+// Spoken language proficiency, strongest first
+const LANGUAGE_LEVELS = ['native', 'fluent', 'professional', 'conversational', 'basic'];
+
+// Profile links a header QR code can point to, by link label
+const QR_CODE_TARGETS = ['portfolio', 'linkedin'];
+
+const DEFAULT_LABELS = LOCALES[DEFAULT_LOCALE].labels;
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const cleanList = (value) => (Array.isArray(value) ? value.map(clean).filter(Boolean) : []);
+
+// Links are only kept when they point at a web address; a bare domain gets https://
+const cleanUrl = (value) => {
+    const url = clean(value);
+    if (!url) return '';
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}`;
+    return /^https?:\/\/[^\s]+$/i.test(withScheme) ? withScheme : '';
+};
+
+// Dates in one consistent format; anything unparseable is shown as sent
+const displayDate = (value, locale, dateFormat) => {
+    const text = clean(value);
+    if (isPresent(text)) return locale.labels.present;
+    const date = parseDate(text);
+    return date ? formatDate(date, dateFormat, locale) : text;
+};
+
+const formatDateRange = (startDate, endDate, locale, dateFormat) => {
+    if (!clean(startDate) && !clean(endDate)) return '';
+    // Just "Jun 2023" when only the end is known
+    if (!clean(startDate)) return displayDate(endDate, locale, dateFormat);
+    const start = displayDate(startDate, locale, dateFormat);
+    const end = clean(endDate) ? displayDate(endDate, locale, dateFormat) : locale.labels.present;
+    // "2020", not "2020 - 2020", when the format drops the months
+    return start === end ? start : `${start} - ${end}`;
+};
+
+// "2 yrs 3 mos" for an entry, or '' when its dates don't allow one
+const formatDuration = (entry, locale, now) => {
+    const months = durationInMonths(entryPeriod(entry, now));
+    return months ? locale.formatDuration(Math.floor(months / 12), months % 12) : '';
+};
+
+// Skills by category for display. A lone group has no label; `items` is each
+// skill with its level, e.g. "JavaScript (Advanced)".
+const buildSkillGroups = (skills, careerPath, skillLevels, labels) => {
+    const requiredSkills = careerPath && Array.isArray(careerPath.requiredSkills) ? careerPath.requiredSkills : [];
+    const groups = groupSkills(skills, { requiredSkills, levels: skillLevels });
+    return groups.map(group => ({
+        category: group.category,
+        label: groups.length > 1 ? labels.skillCategories[group.category] : null,
+        skills: group.skills,
+        items: group.skills.map(skill => (skill.level ? `${skill.name} (${labels.skillLevels[skill.level]})` : skill.name))
+    }));
+};
+
+const qrCodeFor = (links, target) => {
+    const link = links.find(item => item.label.toLowerCase() === target);
+    return link ? { target, url: link.url } : null;
+};
+
+function buildCvModel({ talent, careerPath, combinedSkills = [], skillLevels = {}, educationDetails = [], workExperiences = [], projects = [], certifications = [], languages = [], volunteering = [], awards = [], publications = [], references = [], referencesOnRequest = false, interests = talent.interests || [], contactInfo = {}, photo = null, photoShape = 'circle', qrCode = null, professionalSummary, sectionOrder = SECTION_ORDER, locale = getLocale(DEFAULT_LOCALE), dateFormat = DEFAULT_DATE_FORMAT, now = new Date() }) {
+    const { labels } = locale;
+
+    const links = [];
+    if (cleanUrl(contactInfo.linkedin)) links.push({ label: 'LinkedIn', url: cleanUrl(contactInfo.linkedin) });
+    if (cleanUrl(contactInfo.github)) links.push({ label: 'GitHub', url: cleanUrl(contactInfo.github) });
+    if (cleanUrl(contactInfo.portfolio)) links.push({ label: 'Portfolio', url: cleanUrl(contactInfo.portfolio) });
+
+    const cv = {
+        name: clean(talent.fullname),
+        headline: careerPath && careerPath.title ? careerPath.title : null,
+        contact: {
+            email: clean(talent.email) || clean(contactInfo.email) || null,
+            phone: clean(contactInfo.phone) || null,
+            links
+        },
+        // { format, data, shape } with the image as base64
+        photo: photo ? { ...photo, shape: photoShape } : null,
+        // { target, url } for a QR code to one of the links
+        qrCode: qrCode ? qrCodeFor(links, qrCode) : null,
+        summary: clean(professionalSummary),
+        education: educationDetails.map(edu => ({
+            degree: clean(edu.degree),
+            institution: clean(edu.institution),
+            location: clean(edu.location),
+            startDate: clean(edu.startDate),
+            endDate: clean(edu.endDate),
+            dateRange: formatDateRange(edu.startDate, edu.endDate, locale, dateFormat),
+            duration: formatDuration(edu, locale, now)
+        })),
+        experience: workExperiences.map(exp => ({
+            position: clean(exp.position),
+            company: clean(exp.company),
+            location: clean(exp.location),
+            startDate: clean(exp.startDate),
+            endDate: clean(exp.endDate),
+            dateRange: formatDateRange(exp.startDate, exp.endDate, locale, dateFormat),
+            duration: formatDuration(exp, locale, now),
+            description: clean(exp.description),
+            // Achievement bullets; shown instead of the description when present
+            highlights: cleanList(exp.highlights)
+        })),
+        projects: projects.map(project => ({
+            title: clean(project.title),
+            link: cleanUrl(project.link),
+            description: clean(project.description),
+            technologies: clean(project.technologies),
+            highlights: cleanList(project.highlights),
+            details: cleanList(project.details)
+        })),
+        skills: cleanList(combinedSkills),
+        skillGroups: buildSkillGroups(cleanList(combinedSkills), careerPath, skillLevels, labels),
+        certifications: certifications.map(cert => ({
+            title: clean(cert.title),
+            issuer: clean(cert.issuer),
+            date: clean(cert.date),
+            displayDate: displayDate(cert.date, locale, dateFormat),
+            link: cleanUrl(cert.link)
+        })),
+        languages: languages.map(lang => ({
+            language: clean(lang.language),
+            proficiency: lang.proficiency ? labels.languageLevels[lang.proficiency] : ''
+        })),
+        volunteering: volunteering.map(item => ({
+            role: clean(item.role),
+            organization: clean(item.organization),
+            location: clean(item.location),
+            startDate: clean(item.startDate),
+            endDate: clean(item.endDate),
+            dateRange: formatDateRange(item.startDate, item.endDate, locale, dateFormat),
+            duration: formatDuration(item, locale, now),
+            description: clean(item.description),
+            highlights: cleanList(item.highlights)
+        })),
+        awards: awards.map(award => ({
+            title: clean(award.title),
+            issuer: clean(award.issuer),
+            date: clean(award.date),
+            displayDate: displayDate(award.date, locale, dateFormat),
+            description: clean(award.description)
+        })),
+        publications: publications.map(publication => ({
+            title: clean(publication.title),
+            publisher: clean(publication.publisher),
+            date: clean(publication.date),
+            displayDate: displayDate(publication.date, locale, dateFormat),
+            link: cleanUrl(publication.link),
+            description: clean(publication.description)
+        })),
+        // With referencesOnRequest the section is just "available on request"
+        references: referencesOnRequest ? [] : references.map(ref => ({
+            name: clean(ref.name),
+            position: clean(ref.position),
+            organization: clean(ref.organization),
+            relationship: clean(ref.relationship),
+            email: clean(ref.email),
+            phone: clean(ref.phone)
+        })),
+        referencesOnRequest,
+        interests: cleanList(interests),
+        labels,
+        locale: locale.code,
+        direction: locale.direction
+    };
+
+    // Sections to render: the requested order, minus unknown or empty sections
+    cv.sections = sectionOrder.filter(section => SECTION_ORDER.includes(section) && hasSectionContent(cv, section));
+
+    return cv;
+}
+
+function hasSectionContent(cv, section) {
+    if (section === 'references' && cv.referencesOnRequest) return true;
+    const content = cv[section];
+    if (Array.isArray(content)) return content.length > 0;
+    return Boolean(content);
+}
+
+// Secondary line of an entry, e.g. "Institution • Location"
+const joinParts = (...parts) => parts.filter(Boolean).join(' • ');
+
+// "Swahili (Native)"
+const languageText = (lang) => (lang.proficiency ? `${lang.language} (${lang.proficiency})` : lang.language);
+
+// "Head of Engineering, Acme Ltd" and the referee's contact details
+const referenceLines = (ref) => [
+    [ref.position, ref.organization].filter(Boolean).join(', '),
+    ref.relationship,
+    [ref.email, ref.phone].filter(Boolean).join(' | ')
+].filter(Boolean);
+
+module.exports = {
+    SECTION_ORDER,
+    LANGUAGE_LEVELS,
+    QR_CODE_TARGETS,
+    DEFAULT_LABELS,
+    buildCvModel,
+    hasSectionContent,
+    joinParts,
+    languageText,
+    referenceLines,
+    cleanUrl
+};
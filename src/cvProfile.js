@@ -0,0 +1,135 @@
+const { ID, Query } = require('node-appwrite');
+const { HttpError } = require('./errors');
+const { hasItems, mergeContactInfo } = require('./jsonResume');
+
+// CV sections a talent saves once instead of sending them with every request.
+// Each section is a collection in the `career4me` database with one document
+// per entry: a `talentId` (string) attribute next to the entry's own fields.
+//   educationDetails, workExperiences, projects, certifications, languages,
+//   volunteering, awards, publications, references
+// Contact details are a single document per talent in `contactInfo`.
+const DATABASE_ID = 'career4me';
+const CONTACT_SECTION = 'contactInfo';
+const LIST_SECTIONS = [
+    'educationDetails', 'workExperiences', 'projects', 'certifications', 'languages',
+    'volunteering', 'awards', 'publications', 'references'
+];
+
+const MAX_ENTRIES_LOADED = 100;
+
+// The entry's fields, without Appwrite's $-attributes and the owner
+const entryFields = (doc) => Object.fromEntries(
+    Object.entries(doc).filter(([key]) => !key.startsWith('$') && key !== 'talentId')
+);
+
+const toEntry = (doc) => ({ id: doc.$id, ...entryFields(doc) });
+
+async function listSectionDocuments(databases, section, talentId) {
+    const result = await databases.listDocuments(DATABASE_ID, section, [
+        Query.equal('talentId', talentId),
+        Query.orderAsc('$createdAt'),
+        Query.limit(MAX_ENTRIES_LOADED)
+    ]);
+    return result.documents;
+}
+
+// Everything saved for a talent, oldest entries first: { contactInfo } and
+// one list per section in LIST_SECTIONS
+async function loadCvProfile(databases, talentId) {
+    const [contactDocuments, ...sectionDocuments] = await Promise.all(
+        [CONTACT_SECTION, ...LIST_SECTIONS].map(section => listSectionDocuments(databases, section, talentId))
+    );
+
+    const profile = {
+        contactInfo: contactDocuments.length > 0 ? entryFields(contactDocuments[0]) : {}
+    };
+    LIST_SECTIONS.forEach((section, index) => {
+        profile[section] = sectionDocuments[index].map(toEntry);
+    });
+    return profile;
+}
+
+// The saved document of an entry, or of the contact details when the section
+// is contactInfo (which needs no entryId). Throws a 404 when it doesn't exist
+// or belongs to another talent.
+async function findEntryDocument(databases, { talentId, section, entryId }) {
+    if (section === CONTACT_SECTION) {
+        const [doc] = await listSectionDocuments(databases, section, talentId);
+        if (!doc) throw new HttpError(404, 'No contact details saved for this talent');
+        return doc;
+    }
+
+    let doc;
+    try {
+        doc = await databases.getDocument(DATABASE_ID, section, entryId);
+    } catch (err) {
+        if (err.code === 404) throw new HttpError(404, `No ${section} entry with id ${entryId}`);
+        throw err;
+    }
+    if (doc.talentId !== talentId) throw new HttpError(404, `No ${section} entry with id ${entryId}`);
+    return doc;
+}
+
+async function getEntry(databases, target) {
+    return toEntry(await findEntryDocument(databases, target));
+}
+
+// Save a new entry. A talent has one set of contact details, so a second
+// one is a conflict rather than a new document.
+async function createEntry(databases, { talentId, section }, fields) {
+    if (section === CONTACT_SECTION) {
+        const [existing] = await listSectionDocuments(databases, section, talentId);
+        if (existing) {
+            throw new HttpError(409, 'Contact details are already saved for this talent; update them instead', {
+                entryId: existing.$id
+            });
+        }
+    }
+
+    const doc = await databases.createDocument(DATABASE_ID, section, ID.unique(), { talentId, ...fields });
+    return toEntry(doc);
+}
+
+// Replace the fields of a saved entry; `fields` is the complete, validated entry
+async function updateEntry(databases, target, fields) {
+    const doc = await findEntryDocument(databases, target);
+    const updated = await databases.updateDocument(DATABASE_ID, target.section, doc.$id, fields);
+    return toEntry(updated);
+}
+
+async function deleteEntry(databases, target) {
+    const doc = await findEntryDocument(databases, target);
+    await databases.deleteDocument(DATABASE_ID, target.section, doc.$id);
+    return doc.$id;
+}
+
+// Fill the request from the saved profile. Sections the request sends itself
+// replace the saved ones; contact details are merged key by key.
+function applyCvProfile(body, profile) {
+    const sections = Object.fromEntries(LIST_SECTIONS.map(section => [
+        section,
+        hasItems(body[section]) ? body[section] : profile[section]
+    ]));
+
+    return {
+        ...body,
+        ...sections,
+        contactInfo: mergeContactInfo(body.contactInfo, profile.contactInfo)
+    };
+}
+
+// Sections of the profile that have something saved
+const savedSections = (profile) => [
+    ...(Object.values(profile.contactInfo).some(Boolean) ? [CONTACT_SECTION] : []),
+    ...LIST_SECTIONS.filter(section => profile[section].length > 0)
+];
+
+module.exports = {
+    loadCvProfile,
+    getEntry,
+    createEntry,
+    updateEntry,
+    deleteEntry,
+    applyCvProfile,
+    savedSections
+};
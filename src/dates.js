@@ -0,0 +1,85 @@
+// Parsing for the free-form date strings users send (YYYY, YYYY-MM, ISO,
+// "Jan 2022", "January 2022", "01/2022")
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words that mean an entry is still ongoing
+const PRESENT_WORDS = ['present', 'current', 'now', 'ongoing', 'today'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const isValidMonth = (month) => month >= 1 && month <= 12;
+
+// Returns { year, month, day } (month and day may be null), or null when the
+// value is empty, ongoing or not recognised
+function parseDate(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = value.trim().toLowerCase();
+    if (PRESENT_WORDS.includes(text)) return null;
+
+    let match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?(?:t.*)?$/);
+    if (match) {
+        const month = match[2] ? Number(match[2]) : null;
+        if (month !== null && !isValidMonth(month)) return null;
+        return { year: Number(match[1]), month, day: match[3] ? Number(match[3]) : null };
+    }
+
+    match = text.match(/^(\d{1,2})[/.](\d{4})$/);
+    if (match && isValidMonth(Number(match[1]))) {
+        return { year: Number(match[2]), month: Number(match[1]), day: null };
+    }
+
+    match = text.match(/^([a-z]+)\.?,?\s+(\d{4})$/);
+    if (match) {
+        const month = MONTHS.indexOf(match[1].slice(0, 3)) + 1;
+        if (month > 0) return { year: Number(match[2]), month, day: null };
+    }
+
+    return null;
+}
+
+const isPresent = (value) => typeof value === 'string' && PRESENT_WORDS.includes(value.trim().toLowerCase());
+
+// ISO 8601 form at the precision the input had: "2022", "2022-01" or "2022-01-15".
+// With `fullDate` a missing month or day is filled in as 01.
+function toIsoDate(value, { fullDate = false } = {}) {
+    const date = parseDate(value);
+    if (!date) return '';
+    if (fullDate) return `${date.year}-${pad(date.month || 1)}-${pad(date.day || 1)}`;
+    if (!date.month) return String(date.year);
+    if (!date.day) return `${date.year}-${pad(date.month)}`;
+    return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+// Display formats for parsed dates; `short` uses the locale's month names.
+// Dates without a month always show just the year.
+const DATE_FORMATS = {
+    short: (date, locale) => locale.formatMonth(date.year, date.month),
+    numeric: (date) => `${pad(date.month)}/${date.year}`,
+    iso: (date) => `${date.year}-${pad(date.month)}`,
+    year: (date) => String(date.year)
+};
+
+const DEFAULT_DATE_FORMAT = 'short';
+
+function formatDate(date, format, locale) {
+    if (!date.month) return String(date.year);
+    return DATE_FORMATS[format](date, locale);
+}
+
+// Months since year 0, for comparing and subtracting dates
+const monthIndex = (date) => date.year * 12 + (date.month || 1) - 1;
+
+const currentMonth = (now = new Date()) => ({ year: now.getFullYear(), month: now.getMonth() + 1, day: null });
+
+module.exports = {
+    MONTHS,
+    DATE_FORMATS,
+    DEFAULT_DATE_FORMAT,
+    parseDate,
+    isPresent,
+    toIsoDate,
+    formatDate,
+    monthIndex,
+    currentMonth
+};
@@ -0,0 +1,195 @@
+const {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    ExternalHyperlink,
+    Packer,
+    Paragraph,
+    TextRun
+} = require('docx');
+const { joinParts, languageText, referenceLines } = require('./cvModel');
+
+// Word equivalents of the PDF standard fonts used by the templates
+const DOCX_FONTS = {
+    'Times-Roman': 'Times New Roman',
+    Helvetica: 'Arial'
+};
+
+// Sizes are in half-points, spacing in twentieths of a point
+const SIZES = { name: 48, headline: 28, contact: 22, heading: 28, title: 24, subtitle: 22, date: 20, body: 24, detail: 22 };
+const COLORS = { text: '000000', muted: '333333', subtle: '666666', link: '0066CC', rule: 'CCCCCC' };
+
+const run = (text, size, options = {}) => new TextRun({ text, size, color: COLORS.text, ...options });
+
+const linkRun = (text, url, size, options = {}) => new ExternalHyperlink({
+    link: url,
+    children: [run(text, size, { color: COLORS.link, underline: {}, ...options })]
+});
+
+const paragraph = (children, options = {}) => new Paragraph({ children, ...options });
+
+// Every heading after the first gets a light rule above it, like the PDF separators
+const heading = (text, separated) => paragraph([run(text, SIZES.heading, { bold: true })], {
+    spacing: { before: 240, after: 120 },
+    border: separated ? { top: { style: BorderStyle.SINGLE, size: 4, color: COLORS.rule, space: 8 } } : undefined,
+    keepNext: true
+});
+
+// Entry title, optionally linked (projects and certifications)
+const entryTitle = (text, link) => paragraph(
+    [link ? linkRun(text, link, SIZES.title, { bold: true }) : run(text, SIZES.title, { bold: true })],
+    { spacing: { before: 120 }, keepNext: true }
+);
+
+const subtitle = (text) => paragraph([run(text, SIZES.subtitle, { italics: true, color: COLORS.muted })], { keepNext: true });
+
+const dateLine = (text) => paragraph([run(text, SIZES.date, { color: COLORS.subtle })]);
+
+const bodyText = (text) => paragraph([run(text, SIZES.body)], { alignment: AlignmentType.JUSTIFIED, spacing: { after: 80 } });
+
+const bullet = (text) => paragraph([run(text, SIZES.detail)], { bullet: { level: 0 } });
+
+function buildHeader(cv) {
+    const children = [
+        paragraph([run(cv.name.toUpperCase(), SIZES.name, { bold: true })], { alignment: AlignmentType.CENTER })
+    ];
+
+    if (cv.headline) {
+        children.push(paragraph([run(cv.headline, SIZES.headline, { italics: true, color: COLORS.muted })], { alignment: AlignmentType.CENTER }));
+    }
+
+    const contactParts = [cv.contact.email, cv.contact.phone].filter(Boolean);
+    if (contactParts.length > 0) {
+        children.push(paragraph([run(contactParts.join(' | '), SIZES.contact, { color: COLORS.muted })], { alignment: AlignmentType.CENTER }));
+    }
+
+    if (cv.contact.links.length > 0) {
+        const runs = [];
+        cv.contact.links.forEach((link, index) => {
+            if (index > 0) runs.push(run('   ', SIZES.date));
+            runs.push(linkRun(link.label, link.url, SIZES.date));
+        });
+        children.push(paragraph(runs, { alignment: AlignmentType.CENTER }));
+    }
+
+    children.push(paragraph([], {
+        border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: COLORS.text, space: 4 } },
+        spacing: { after: 120 }
+    }));
+
+    return children;
+}
+
+// Achievement bullets replace the description when there are any
+const descriptionOrHighlights = (entry) => {
+    if (entry.highlights.length > 0) return entry.highlights.map(bullet);
+    return entry.description ? [bodyText(entry.description)] : [];
+};
+
+const sectionBuilders = {
+    summary: (cv) => [bodyText(cv.summary)],
+
+    education: (cv) => cv.education.flatMap(edu => [
+        entryTitle(edu.degree),
+        subtitle(joinParts(edu.institution, edu.location)),
+        ...(edu.dateRange ? [dateLine(joinParts(edu.dateRange, edu.duration))] : [])
+    ]),
+
+    experience: (cv) => cv.experience.flatMap(exp => [
+        entryTitle(exp.position),
+        subtitle(joinParts(exp.company, exp.location)),
+        ...(exp.dateRange ? [dateLine(joinParts(exp.dateRange, exp.duration))] : []),
+        ...descriptionOrHighlights(exp)
+    ]),
+
+    projects: (cv) => cv.projects.flatMap(project => [
+        entryTitle(project.title, project.link),
+        ...descriptionOrHighlights(project),
+        ...(project.technologies ? [paragraph([
+            run(`${cv.labels.technologies}: `, SIZES.detail, { bold: true }),
+            run(project.technologies, SIZES.detail, { color: COLORS.muted })
+        ])] : []),
+        ...project.details.map(bullet)
+    ]),
+
+    skills: (cv) => cv.skillGroups.map(group => (group.label
+        ? paragraph([
+            run(`${group.label}: `, SIZES.body, { bold: true }),
+            run(group.items.join(' • '), SIZES.body)
+        ], { spacing: { after: 80 } })
+        : bodyText(group.items.join(' • ')))),
+
+    certifications: (cv) => cv.certifications.flatMap(cert => [
+        entryTitle(cert.title, cert.link),
+        subtitle(joinParts(cert.issuer, cert.displayDate))
+    ]),
+
+    volunteering: (cv) => cv.volunteering.flatMap(item => [
+        entryTitle(item.role),
+        subtitle(joinParts(item.organization, item.location)),
+        ...(item.dateRange ? [dateLine(joinParts(item.dateRange, item.duration))] : []),
+        ...descriptionOrHighlights(item)
+    ]),
+
+    languages: (cv) => [bodyText(cv.languages.map(languageText).join(' • '))],
+
+    awards: (cv) => cv.awards.flatMap(award => [
+        entryTitle(award.title),
+        ...(joinParts(award.issuer, award.displayDate) ? [subtitle(joinParts(award.issuer, award.displayDate))] : []),
+        ...(award.description ? [bodyText(award.description)] : [])
+    ]),
+
+    publications: (cv) => cv.publications.flatMap(publication => [
+        entryTitle(publication.title, publication.link),
+        ...(joinParts(publication.publisher, publication.displayDate) ? [subtitle(joinParts(publication.publisher, publication.displayDate))] : []),
+        ...(publication.description ? [bodyText(publication.description)] : [])
+    ]),
+
+    references: (cv) => (cv.referencesOnRequest
+        ? [bodyText(cv.labels.referencesOnRequest)]
+        : cv.references.flatMap(ref => [
+            entryTitle(ref.name),
+            ...referenceLines(ref).map(line => paragraph([run(line, SIZES.detail, { color: COLORS.muted })]))
+        ])),
+
+    interests: (cv) => [bodyText(cv.interests.join(' • '))]
+};
+
+// Render a normalized CV model to an editable Word document. Sections, headings,
+// links and ordering follow the PDF output; the font follows the chosen template.
+async function generateDOCX(cv, template) {
+    const font = DOCX_FONTS[template.theme.fonts.regular] || DOCX_FONTS['Times-Roman'];
+    const rtl = cv.direction === 'rtl';
+
+    const children = [...buildHeader(cv)];
+    cv.sections.forEach((section, index) => {
+        children.push(heading(cv.labels.sections[section], index > 0));
+        children.push(...sectionBuilders[section](cv));
+    });
+
+    const document = new Document({
+        creator: cv.name,
+        title: cv.headline ? `${cv.name} - ${cv.headline}` : cv.name,
+        styles: {
+            default: {
+                // Right-to-left locales flip every paragraph and run
+                document: {
+                    run: { font, language: { value: cv.locale, eastAsia: cv.locale, bidirectional: cv.locale }, ...(rtl && { rightToLeft: true }) },
+                    ...(rtl && { paragraph: { bidirectional: true } })
+                }
+            }
+        },
+        sections: [{
+            properties: {
+                page: {
+                    margin: { top: 1000, bottom: 1000, left: 800, right: 800 }
+                }
+            },
+            children
+        }]
+    });
+
+    return Packer.toBuffer(document);
+}
+
+module.exports = { generateDOCX };
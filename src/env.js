@@ -0,0 +1,5 @@
+// A number from an environment variable, or `fallback` when the variable is
+// unset, empty or not a number
+const envNumber = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+module.exports = { envNumber };
@@ -0,0 +1,14 @@
+// Error that maps straight onto an HTTP error response. Anything in `details`
+// is merged into the JSON body next to `success` and `error`; `headers` are
+// sent with the response.
+class HttpError extends Error {
+    constructor(status, message, details = {}, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+module.exports = { HttpError };
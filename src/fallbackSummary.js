@@ -0,0 +1,27 @@
+const { DEFAULT_LOCALE, getLocale } = require('./locales');
+
+// Template-based professional summary, used when no language model is
+// available. Built only from facts we already have: career stage, key skills,
+// career path and years of experience, in the CV's language (the templates
+// live with the other locale text in locales.js).
+
+// Locale template for each career stage; unknown stages read as Pathfinder
+const STAGE_TEMPLATES = {
+    Pathfinder: 'pathfinder',
+    Trailblazer: 'trailblazer',
+    'Horizon Changer': 'horizonChanger'
+};
+
+function buildFallbackSummary({ careerStage, keySkills = [], careerPath, yearsOfExperience = 0, hasProjects = false, locale = getLocale(DEFAULT_LOCALE) }) {
+    const template = locale.fallbackSummary[STAGE_TEMPLATES[careerStage] || 'pathfinder'];
+    return template({
+        role: careerPath && careerPath.title ? careerPath.title : '',
+        // "React, Node.js and SQL" with the locale's own separators
+        skills: new Intl.ListFormat(locale.code, { type: 'conjunction' }).format(keySkills.slice(0, 3)),
+        industry: careerPath && careerPath.industry ? careerPath.industry : '',
+        years: Math.floor(yearsOfExperience),
+        hasProjects
+    });
+}
+
+module.exports = { buildFallbackSummary };
@@ -0,0 +1,117 @@
+const path = require('path');
+const fontkit = require('fontkit');
+
+// Bundled TrueType fonts for text the PDF standard fonts can't show. The
+// standard fonts only cover WinAnsi (Western European) text, so a CV that
+// needs anything else switches to the DejaVu family closest to the template's
+// look, and blocks of Arabic, Hebrew or CJK text fall back to a font that
+// covers their script. Scripts none of the fonts cover, such as Korean, Thai
+// or Devanagari, are reported by missingCharacters.
+const FAMILIES = {
+    serif: {
+        regular: 'DejaVuSerif.ttf',
+        bold: 'DejaVuSerif-Bold.ttf',
+        italic: 'DejaVuSerif-Italic.ttf'
+    },
+    sans: {
+        regular: 'DejaVuSans.ttf',
+        bold: 'DejaVuSans-Bold.ttf',
+        italic: 'DejaVuSans-Oblique.ttf'
+    },
+    // DejaVu Sans without the oblique, which has no Arabic or Hebrew glyphs
+    rtl: {
+        regular: 'DejaVuSans.ttf',
+        bold: 'DejaVuSans-Bold.ttf',
+        italic: 'DejaVuSans.ttf'
+    },
+    // One weight only, subset to keep the deploy small: GB2312, Big5 common
+    // characters, JIS level 1 kanji, kana and CJK punctuation
+    cjk: {
+        regular: 'NotoSansSC-Regular.ttf',
+        bold: 'NotoSansSC-Regular.ttf',
+        italic: 'NotoSansSC-Regular.ttf'
+    }
+};
+
+// Scripts the base families don't fully cover, and the family to use instead
+const SCRIPT_FALLBACKS = [
+    { pattern: /[\u2e80-\u2fdf\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/, family: 'cjk' },
+    { pattern: /[\u0590-\u05ff\u0600-\u06ff\u0750-\u077f\ufb1d-\ufdff\ufe70-\ufeff]/, family: 'rtl' }
+];
+
+// Everything the standard fonts can encode: Latin-1 plus the WinAnsi extras
+const WIN_ANSI = /^[\t\n\r\x20-\x7e\xa0-\xff\u20ac\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u017d\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u017e\u0178]*$/;
+
+const isWinAnsi = (text) => WIN_ANSI.test(text);
+
+const familyFor = (text, baseFamily) => {
+    const fallback = SCRIPT_FALLBACKS.find(({ pattern }) => pattern.test(text));
+    return fallback ? fallback.family : baseFamily;
+};
+
+const baseFamilyFor = (theme) => (/^Times/.test(theme.fonts.regular) ? 'serif' : 'sans');
+
+// Parsed regular fonts, only opened when some text needs checking
+const parsedFonts = {};
+const parsedFont = (family) => {
+    if (!parsedFonts[family]) parsedFonts[family] = fontkit.openSync(path.join(__dirname, FAMILIES[family].regular));
+    return parsedFonts[family];
+};
+
+// Characters of `text` that none of the bundled fonts can draw for the
+// theme (Korean, Thai or Devanagari, for example), in order of appearance.
+// They come out as empty boxes in the PDF.
+function missingCharacters(text, theme) {
+    if (isWinAnsi(text)) return [];
+    const baseFamily = baseFamilyFor(theme);
+    const missing = new Set();
+    for (const char of new Set(text.replace(/\s+/g, ''))) {
+        if (!isWinAnsi(char) && !parsedFont(familyFor(char, baseFamily)).hasGlyphForCodePoint(char.codePointAt(0))) {
+            missing.add(char);
+        }
+    }
+    return [...missing];
+}
+
+// Font picker for one PDF document. `text` is all the text that will be
+// written, so the whole document uses one family unless a block needs a
+// different script. `embed` uses the bundled fonts even for WinAnsi text,
+// since PDF/A doesn't allow fonts that aren't embedded.
+function createFontSet(doc, theme, text = '', { embed = false } = {}) {
+    if (!embed && isWinAnsi(text)) {
+        return {
+            embedded: false,
+            font: (weight) => theme.fonts[weight]
+        };
+    }
+
+    const baseFamily = baseFamilyFor(theme);
+    const registered = new Set();
+
+    const use = (family, weight) => {
+        const name = `${family}-${weight}`;
+        if (!registered.has(name)) {
+            doc.registerFont(name, path.join(__dirname, FAMILIES[family][weight]));
+            registered.add(name);
+        }
+        return name;
+    };
+
+    return {
+        embedded: true,
+        font(weight, blockText = '') {
+            return use(familyFor(blockText, baseFamily), weight);
+        }
+    };
+}
+
+// All the strings in a CV model (or cover letter), for choosing the fonts
+const collectText = (value) => JSON.stringify(value);
+
+module.exports = {
+    FAMILIES,
+    isWinAnsi,
+    missingCharacters,
+    createFontSet,
+    collectText
+};
@@ -0,0 +1,158 @@
+const { joinParts, languageText, referenceLines } = require('./cvModel');
+
+// CSS font stacks for the PDF standard fonts used by the templates
+const FONT_STACKS = {
+    'Times-Roman': '"Times New Roman", Times, serif',
+    Helvetica: 'Helvetica, Arial, sans-serif'
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const linkOrText = (text, url) => (url
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`
+    : escapeHtml(text));
+
+const entry = (title, lines) => `<article class="entry">
+<h3>${title}</h3>
+${lines.filter(Boolean).join('\n')}
+</article>`;
+
+const bulletList = (items) => (items.length > 0
+    ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '');
+
+// Achievement bullets replace the description when there are any
+const descriptionOrHighlights = (entry) => {
+    if (entry.highlights.length > 0) return bulletList(entry.highlights);
+    return entry.description ? `<p>${escapeHtml(entry.description)}</p>` : '';
+};
+
+const sectionWriters = {
+    summary: (cv) => `<p>${escapeHtml(cv.summary)}</p>`,
+
+    education: (cv) => cv.education.map(edu => entry(escapeHtml(edu.degree), [
+        `<p class="subtitle">${escapeHtml(joinParts(edu.institution, edu.location))}</p>`,
+        edu.dateRange ? `<p class="date">${escapeHtml(joinParts(edu.dateRange, edu.duration))}</p>` : ''
+    ])).join('\n'),
+
+    experience: (cv) => cv.experience.map(exp => entry(escapeHtml(exp.position), [
+        `<p class="subtitle">${escapeHtml(joinParts(exp.company, exp.location))}</p>`,
+        exp.dateRange ? `<p class="date">${escapeHtml(joinParts(exp.dateRange, exp.duration))}</p>` : '',
+        descriptionOrHighlights(exp)
+    ])).join('\n'),
+
+    projects: (cv) => cv.projects.map(project => entry(linkOrText(project.title, project.link), [
+        descriptionOrHighlights(project),
+        project.technologies ? `<p class="detail"><strong>${escapeHtml(cv.labels.technologies)}:</strong> ${escapeHtml(project.technologies)}</p>` : '',
+        bulletList(project.details)
+    ])).join('\n'),
+
+    skills: (cv) => cv.skillGroups.map((group) => {
+        const items = `<ul class="inline">${group.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+        return group.label ? `<div class="skill-group"><strong>${escapeHtml(group.label)}:</strong> ${items}</div>` : items;
+    }).join('\n'),
+
+    certifications: (cv) => cv.certifications.map(cert => entry(linkOrText(cert.title, cert.link), [
+        `<p class="subtitle">${escapeHtml(joinParts(cert.issuer, cert.displayDate))}</p>`
+    ])).join('\n'),
+
+    volunteering: (cv) => cv.volunteering.map(item => entry(escapeHtml(item.role), [
+        `<p class="subtitle">${escapeHtml(joinParts(item.organization, item.location))}</p>`,
+        item.dateRange ? `<p class="date">${escapeHtml(joinParts(item.dateRange, item.duration))}</p>` : '',
+        descriptionOrHighlights(item)
+    ])).join('\n'),
+
+    languages: (cv) => `<ul class="inline">${cv.languages.map(lang => `<li>${escapeHtml(languageText(lang))}</li>`).join('')}</ul>`,
+
+    awards: (cv) => cv.awards.map(award => entry(escapeHtml(award.title), [
+        joinParts(award.issuer, award.displayDate) ? `<p class="subtitle">${escapeHtml(joinParts(award.issuer, award.displayDate))}</p>` : '',
+        award.description ? `<p>${escapeHtml(award.description)}</p>` : ''
+    ])).join('\n'),
+
+    publications: (cv) => cv.publications.map(publication => entry(linkOrText(publication.title, publication.link), [
+        joinParts(publication.publisher, publication.displayDate) ? `<p class="subtitle">${escapeHtml(joinParts(publication.publisher, publication.displayDate))}</p>` : '',
+        publication.description ? `<p>${escapeHtml(publication.description)}</p>` : ''
+    ])).join('\n'),
+
+    references: (cv) => (cv.referencesOnRequest
+        ? `<p>${escapeHtml(cv.labels.referencesOnRequest)}</p>`
+        : cv.references.map(ref => entry(escapeHtml(ref.name), referenceLines(ref).map(line => `<p class="detail">${escapeHtml(line)}</p>`))).join('\n')),
+
+    interests: (cv) => `<ul class="inline">${cv.interests.map(interest => `<li>${escapeHtml(interest)}</li>`).join('')}</ul>`
+};
+
+function buildStyles(theme) {
+    const { colors } = theme;
+    const fontStack = FONT_STACKS[theme.fonts.regular] || FONT_STACKS['Times-Roman'];
+
+    return `body { margin: 0; background: #ffffff; color: ${colors.text}; font-family: ${fontStack}; font-size: 15px; line-height: 1.45; }
+.cv { max-width: 760px; margin: 0 auto; padding: 32px 28px; }
+header { text-align: center; border-bottom: 1px solid ${colors.headerRule}; padding-bottom: 14px; margin-bottom: 18px; }
+h1 { margin: 0; font-size: 30px; letter-spacing: 0.5px; color: ${colors.accent}; }
+.headline { margin: 4px 0 0; font-style: italic; color: ${colors.muted}; font-size: 17px; }
+.contact { margin: 6px 0 0; color: ${colors.muted}; font-size: 14px; }
+.contact a { margin: 0 8px; }
+a { color: ${colors.link}; }
+section { border-top: 1px solid ${colors.rule}; padding-top: 12px; margin-top: 16px; }
+section:first-of-type { border-top: 0; margin-top: 0; }
+h2 { margin: 0 0 8px; font-size: 17px; color: ${colors.accent}; }
+h3 { margin: 10px 0 2px; font-size: 15px; }
+p { margin: 2px 0; text-align: justify; }
+.subtitle { font-style: italic; color: ${colors.muted}; }
+.date { color: ${colors.subtle}; font-size: 13px; }
+.detail { font-size: 14px; }
+ul { margin: 4px 0; padding-inline-start: 22px; }
+ul.inline { padding: 0; list-style: none; }
+ul.inline li { display: inline; }
+.skill-group ul.inline { display: inline; }
+ul.inline li + li::before { content: " \\2022  "; }
+@media print { .cv { padding: 0; } }`;
+}
+
+// Self-contained semantic HTML document with inline CSS, for iframe previews
+function generateHTML(cv, template) {
+    const contactParts = [cv.contact.email, cv.contact.phone].filter(Boolean).map(escapeHtml);
+    const links = cv.contact.links.map(link => linkOrText(link.label, link.url));
+
+    const header = [
+        `<h1>${escapeHtml(cv.name)}</h1>`,
+        cv.headline ? `<p class="headline">${escapeHtml(cv.headline)}</p>` : '',
+        contactParts.length > 0 ? `<p class="contact">${contactParts.join(' | ')}</p>` : '',
+        links.length > 0 ? `<p class="contact">${links.join('')}</p>` : ''
+    ].filter(Boolean).join('\n');
+
+    const sections = cv.sections.map(section => `<section id="${section}" aria-labelledby="${section}-heading">
+<h2 id="${section}-heading">${escapeHtml(cv.labels.sections[section])}</h2>
+${sectionWriters[section](cv)}
+</section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(cv.locale)}" dir="${cv.direction}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(cv.headline ? `${cv.name} - ${cv.headline}` : cv.name)}</title>
+<style>
+${buildStyles(template.theme)}
+</style>
+</head>
+<body>
+<div class="cv">
+<header>
+${header}
+</header>
+<main>
+${sections}
+</main>
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = { generateHTML, escapeHtml };
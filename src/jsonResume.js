@@ -0,0 +1,270 @@
+const { toIsoDate } = require('./dates');
+const { referenceLines } = require('./cvModel');
+
+// Mapping between the open JSON Resume schema (https://jsonresume.org/schema)
+// and the function's own request fields and CV model
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// Find a profile URL by network name, e.g. "LinkedIn" or "GitHub"
+const profileUrl = (profiles, network) => {
+    const profile = profiles.find(p => p && text(p.network).toLowerCase() === network);
+    return profile ? text(profile.url) : '';
+};
+
+// JSON Resume fluency is free text ("Native speaker", "C1"); map it to our
+// proficiency levels, or leave it out when it doesn't say
+const FLUENCY_PATTERNS = [
+    ['native', /native|mother tongue|bilingual|\bc2\b/i],
+    ['fluent', /fluent|\bc1\b/i],
+    ['professional', /professional|advanced|full working|\bb2\b/i],
+    ['conversational', /conversational|intermediate|limited working|\bb1\b/i],
+    ['basic', /basic|elementary|beginner|\ba[12]\b/i]
+];
+
+const proficiencyLevel = (fluency) => {
+    const match = FLUENCY_PATTERNS.find(([, pattern]) => pattern.test(fluency));
+    return match ? match[0] : undefined;
+};
+
+// Turn a JSON Resume document into the request fields used by the handler
+function fromJsonResume(resume) {
+    const basics = resume.basics || {};
+    const profiles = list(basics.profiles);
+
+    const contactInfo = {
+        email: text(basics.email),
+        phone: text(basics.phone),
+        linkedin: profileUrl(profiles, 'linkedin'),
+        github: profileUrl(profiles, 'github'),
+        portfolio: text(basics.url)
+    };
+
+    const workExperiences = list(resume.work).filter(Boolean).map(job => ({
+        company: text(job.name || job.company),
+        position: text(job.position),
+        location: text(job.location),
+        startDate: text(job.startDate),
+        endDate: text(job.endDate),
+        description: text(job.summary),
+        highlights: list(job.highlights).map(text).filter(Boolean)
+    }));
+
+    const educationDetails = list(resume.education).filter(Boolean).map(edu => ({
+        degree: [text(edu.studyType), text(edu.area)].filter(Boolean).join(' in '),
+        institution: text(edu.institution),
+        location: '',
+        startDate: text(edu.startDate),
+        endDate: text(edu.endDate)
+    }));
+
+    const projects = list(resume.projects).filter(Boolean).map(project => ({
+        title: text(project.name),
+        description: text(project.description),
+        link: text(project.url),
+        technologies: list(project.keywords).map(text).filter(Boolean).join(', '),
+        details: list(project.highlights).map(text).filter(Boolean)
+    }));
+
+    const certifications = list(resume.certificates).filter(Boolean).map(cert => ({
+        title: text(cert.name),
+        issuer: text(cert.issuer),
+        date: text(cert.date),
+        link: text(cert.url)
+    }));
+
+    // Skill groups contribute their keywords; groups without keywords are a skill themselves
+    const skills = list(resume.skills).filter(Boolean).flatMap(skill => {
+        const keywords = list(skill.keywords).map(text).filter(Boolean);
+        return keywords.length > 0 ? keywords : [text(skill.name)];
+    }).filter(Boolean);
+
+    const interests = list(resume.interests).filter(Boolean).map(interest => text(interest.name)).filter(Boolean);
+
+    const languages = list(resume.languages).filter(Boolean).map(lang => ({
+        language: text(lang.language),
+        proficiency: proficiencyLevel(text(lang.fluency))
+    }));
+
+    const volunteering = list(resume.volunteer).filter(Boolean).map(item => ({
+        role: text(item.position),
+        organization: text(item.organization),
+        startDate: text(item.startDate),
+        endDate: text(item.endDate),
+        description: text(item.summary),
+        highlights: list(item.highlights).map(text).filter(Boolean)
+    }));
+
+    const awards = list(resume.awards).filter(Boolean).map(award => ({
+        title: text(award.title),
+        issuer: text(award.awarder),
+        date: text(award.date),
+        description: text(award.summary)
+    }));
+
+    const publications = list(resume.publications).filter(Boolean).map(publication => ({
+        title: text(publication.name),
+        publisher: text(publication.publisher),
+        date: text(publication.releaseDate),
+        link: text(publication.url),
+        description: text(publication.summary)
+    }));
+
+    // JSON Resume references are a name and a quote; only the name carries over
+    const references = list(resume.references).filter(Boolean).map(ref => ({ name: text(ref.name) }));
+
+    return {
+        contactInfo,
+        educationDetails,
+        workExperiences,
+        projects,
+        certifications,
+        skills,
+        interests,
+        languages,
+        volunteering,
+        awards,
+        publications,
+        references
+    };
+}
+
+const hasItems = (value) => Array.isArray(value) && value.length > 0;
+
+// Request contact details win key by key. A malformed value is passed through
+// untouched so request validation can report it.
+const mergeContactInfo = (requestContact, importedContact) => {
+    if (requestContact !== undefined && requestContact !== null && (typeof requestContact !== 'object' || Array.isArray(requestContact))) {
+        return requestContact;
+    }
+
+    const contactInfo = { ...(requestContact || {}) };
+    Object.entries(importedContact).forEach(([key, value]) => {
+        if (value && !text(contactInfo[key])) contactInfo[key] = value;
+    });
+    return contactInfo;
+};
+
+// Fill the request fields from a JSON Resume document. Fields the request sent
+// itself win; contact details are merged key by key.
+function applyJsonResume(body, resume) {
+    const imported = fromJsonResume(resume);
+    const contactInfo = mergeContactInfo(body.contactInfo, imported.contactInfo);
+
+    return {
+        ...body,
+        additionalSkills: hasItems(body.additionalSkills) ? body.additionalSkills : imported.skills,
+        educationDetails: hasItems(body.educationDetails) ? body.educationDetails : imported.educationDetails,
+        workExperiences: hasItems(body.workExperiences) ? body.workExperiences : imported.workExperiences,
+        projects: hasItems(body.projects) ? body.projects : imported.projects,
+        certifications: hasItems(body.certifications) ? body.certifications : imported.certifications,
+        interests: hasItems(body.interests) ? body.interests : imported.interests,
+        languages: hasItems(body.languages) ? body.languages : imported.languages,
+        volunteering: hasItems(body.volunteering) ? body.volunteering : imported.volunteering,
+        awards: hasItems(body.awards) ? body.awards : imported.awards,
+        publications: hasItems(body.publications) ? body.publications : imported.publications,
+        references: hasItems(body.references) ? body.references : imported.references,
+        contactInfo
+    };
+}
+
+// Split "Bachelor in Computer Science" back into studyType and area
+const splitDegree = (degree) => {
+    const match = degree.match(/^(.+?) in (.+)$/);
+    return match ? { studyType: match[1], area: match[2] } : { studyType: degree };
+};
+
+// Drop empty strings and arrays so the output only carries what we know
+const compact = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => !(value === '' || value === null || value === undefined || (Array.isArray(value) && value.length === 0)))
+);
+
+// Export the assembled CV model, including the generated summary, as JSON Resume
+function toJsonResume(cv) {
+    const profiles = cv.contact.links
+        .filter(link => link.label !== 'Portfolio')
+        .map(link => ({ network: link.label, url: link.url }));
+    const portfolio = cv.contact.links.find(link => link.label === 'Portfolio');
+
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: compact({
+            name: cv.name,
+            label: cv.headline || '',
+            email: cv.contact.email || '',
+            phone: cv.contact.phone || '',
+            url: portfolio ? portfolio.url : '',
+            summary: cv.summary,
+            profiles
+        }),
+        work: cv.experience.map(exp => compact({
+            name: exp.company,
+            position: exp.position,
+            location: exp.location,
+            startDate: toIsoDate(exp.startDate),
+            endDate: toIsoDate(exp.endDate),
+            summary: exp.description,
+            highlights: exp.highlights
+        })),
+        education: cv.education.map(edu => compact({
+            institution: edu.institution,
+            ...splitDegree(edu.degree),
+            startDate: toIsoDate(edu.startDate),
+            endDate: toIsoDate(edu.endDate)
+        })),
+        projects: cv.projects.map(project => compact({
+            name: project.title,
+            description: project.description,
+            highlights: [...project.highlights, ...project.details],
+            keywords: project.technologies ? project.technologies.split(',').map(text).filter(Boolean) : [],
+            url: project.link
+        })),
+        certificates: cv.certifications.map(cert => compact({
+            name: cert.title,
+            issuer: cert.issuer,
+            // The schema wants a full date for certificates
+            date: toIsoDate(cert.date, { fullDate: true }),
+            url: cert.link
+        })),
+        skills: cv.skillGroups.flatMap(group => group.skills.map(skill => compact({ name: skill.name, level: skill.level }))),
+        interests: cv.interests.map(interest => ({ name: interest })),
+        languages: cv.languages.map(lang => compact({ language: lang.language, fluency: lang.proficiency })),
+        volunteer: cv.volunteering.map(item => compact({
+            organization: item.organization,
+            position: item.role,
+            startDate: toIsoDate(item.startDate),
+            endDate: toIsoDate(item.endDate),
+            summary: item.description,
+            highlights: item.highlights
+        })),
+        awards: cv.awards.map(award => compact({
+            title: award.title,
+            awarder: award.issuer,
+            date: toIsoDate(award.date),
+            summary: award.description
+        })),
+        publications: cv.publications.map(publication => compact({
+            name: publication.title,
+            publisher: publication.publisher,
+            releaseDate: toIsoDate(publication.date),
+            url: publication.link,
+            summary: publication.description
+        })),
+        references: cv.references.map(ref => ({ name: ref.name, reference: referenceLines(ref).join('\n') })),
+        meta: {
+            version: 'v1.0.0',
+            lastModified: new Date().toISOString()
+        }
+    };
+}
+
+module.exports = {
+    hasItems,
+    mergeContactInfo,
+    fromJsonResume,
+    applyJsonResume,
+    toJsonResume
+};
@@ -0,0 +1,134 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { envNumber } = require('./env');
+
+// Text generation behind a small provider interface. A provider is
+// `{ name, generate(prompt) }` where `generate` resolves with the model's text.
+// Providers are tried in order, each with retries and exponential backoff; the
+// caller decides what to do when all of them fail.
+
+const DEFAULT_PROVIDERS = 'gemini:gemini-2.0-flash';
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_TIMEOUT_MS = 20000;
+
+class LlmUnavailableError extends Error {
+    constructor(message, failures = []) {
+        super(message);
+        this.name = 'LlmUnavailableError';
+        this.failures = failures;
+    }
+}
+
+function createGeminiProvider({ apiKey, model = 'gemini-2.0-flash' }) {
+    if (!apiKey) return null;
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: `gemini:${model}`,
+        generate: async (prompt) => {
+            const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+            return result.response.text();
+        }
+    };
+}
+
+// Provider factories by name, so another vendor only needs an entry here
+const PROVIDER_FACTORIES = {
+    gemini: (model, env) => createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model })
+};
+
+// Build the provider chain from LLM_PROVIDERS, e.g.
+// "gemini:gemini-2.0-flash,gemini:gemini-1.5-flash". Providers without
+// credentials are skipped, so the chain may be empty.
+function createProvidersFromEnv(env = process.env, { log = () => {} } = {}) {
+    return (env.LLM_PROVIDERS || DEFAULT_PROVIDERS)
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [type, ...modelParts] = entry.split(':');
+            const factory = PROVIDER_FACTORIES[type];
+            if (!factory) {
+                log(`Ignoring unknown LLM provider: ${type}`);
+                return null;
+            }
+            const provider = factory(modelParts.join(':') || undefined, env);
+            if (!provider) {
+                log(`LLM provider ${entry} is not configured; skipping it`);
+            }
+            return provider;
+        })
+        .filter(Boolean);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Quota, rate limit, server and network errors are worth another try; bad
+// requests and auth errors aren't
+const isRetryable = (err) => {
+    const status = err && err.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// Generate text with the first provider that succeeds. Resolves with
+// `{ text, provider }`; rejects with LlmUnavailableError when every provider fails.
+// `limit` (see concurrency.js) caps the calls in flight across a batch; the
+// timeout only starts once a call actually runs.
+async function generateText(providers, prompt, {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    limit = (task) => task(),
+    log = () => {}
+} = {}) {
+    if (providers.length === 0) {
+        throw new LlmUnavailableError('No language model provider is configured');
+    }
+
+    const failures = [];
+    for (const provider of providers) {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            try {
+                const text = (await limit(() => withTimeout(provider.generate(prompt), timeoutMs)) || '').trim();
+                if (!text) throw new Error('Empty response');
+                return { text, provider: provider.name };
+            } catch (err) {
+                log(`${provider.name} attempt ${attempt + 1} failed: ${err.message}`);
+                if (attempt === maxRetries || !isRetryable(err)) {
+                    failures.push({ provider: provider.name, error: err.message });
+                    break;
+                }
+                // Exponential backoff with a little jitter
+                await sleep(baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs);
+            }
+        }
+    }
+
+    throw new LlmUnavailableError('All language model providers failed', failures);
+}
+
+// Read retry settings from the environment, falling back to the defaults
+function retryOptionsFromEnv(env = process.env) {
+    return {
+        maxRetries: envNumber(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+        baseDelayMs: envNumber(env.LLM_RETRY_DELAY_MS, DEFAULT_BASE_DELAY_MS),
+        timeoutMs: envNumber(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)
+    };
+}
+
+module.exports = {
+    LlmUnavailableError,
+    PROVIDER_FACTORIES,
+    createGeminiProvider,
+    createProvidersFromEnv,
+    retryOptionsFromEnv,
+    generateText
+};
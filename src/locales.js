@@ -0,0 +1,557 @@
+// Translated CV labels and date words. Each locale has the section headings,
+// the word for an ongoing entry, the PDF page footer ({page} and {total} are
+// filled in), skill category and level names, language proficiency names,
+// the "references available on request" line, month names for dates, the
+// text direction, the language name used to ask the model for a summary in
+// that language and the template summaries used when the model is unavailable.
+// Durations use the runtime's own locale data unless a locale spells them out.
+
+const DEFAULT_LOCALE = 'en';
+
+const monthYear = (months) => (year, month) => `${months[month - 1]} ${year}`;
+
+// "2 Jahre 3 Monate", from Intl's unit formatting
+const unitDuration = (code) => {
+    const years = new Intl.NumberFormat(code, { style: 'unit', unit: 'year', unitDisplay: 'long' });
+    const months = new Intl.NumberFormat(code, { style: 'unit', unit: 'month', unitDisplay: 'long' });
+    return (yearCount, monthCount) => [
+        yearCount > 0 && years.format(yearCount),
+        monthCount > 0 && months.format(monthCount)
+    ].filter(Boolean).join(' ');
+};
+
+const LOCALES = {
+    en: {
+        language: 'English',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'PROFESSIONAL SUMMARY',
+                education: 'EDUCATION',
+                experience: 'WORK EXPERIENCE',
+                projects: 'PROJECTS',
+                skills: 'SKILLS',
+                certifications: 'CERTIFICATIONS & ACHIEVEMENTS',
+                interests: 'INTERESTS',
+                volunteering: 'VOLUNTEERING',
+                languages: 'LANGUAGES',
+                awards: 'AWARDS',
+                publications: 'PUBLICATIONS',
+                references: 'REFERENCES',
+                contact: 'CONTACT'
+            },
+            present: 'Present',
+            technologies: 'Technologies',
+            pageNumber: 'Page {page} of {total}',
+            skillCategories: {
+                languages: 'Programming Languages',
+                frameworks: 'Frameworks & Libraries',
+                tools: 'Tools & Platforms',
+                soft: 'Soft Skills',
+                other: 'Other'
+            },
+            skillLevels: {
+                beginner: 'Beginner',
+                intermediate: 'Intermediate',
+                advanced: 'Advanced',
+                expert: 'Expert'
+            },
+            languageLevels: {
+                native: 'Native',
+                fluent: 'Fluent',
+                professional: 'Professional working proficiency',
+                conversational: 'Conversational',
+                basic: 'Basic'
+            },
+            referencesOnRequest: 'Available on request'
+        },
+        formatMonth: monthYear(['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']),
+        // The usual CV shorthand, e.g. "2 yrs 3 mos"
+        formatDuration: (yearCount, monthCount) => [
+            yearCount > 0 && `${yearCount} ${yearCount === 1 ? 'yr' : 'yrs'}`,
+            monthCount > 0 && `${monthCount} ${monthCount === 1 ? 'mo' : 'mos'}`
+        ].filter(Boolean).join(' '),
+        // Template summaries for when no language model is available
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Motivated ${role ? role.toLowerCase() : 'professional'}${skills ? ` with a strong foundation in ${skills}` : ''}. Eager to apply ${hasProjects ? 'hands-on project experience' : 'academic knowledge'} to contribute meaningfully while continuing to learn and grow in ${industry ? `the ${industry.toLowerCase()} industry` : 'a forward-thinking team'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `Experienced ${role ? role.toLowerCase() : 'professional'}${skills ? ` with proven expertise in ${skills}` : ''}. ${years >= 1 ? `Track record of delivering results over ${years}+ years` : 'Committed to delivering results'} and seeking opportunities for continued growth and leadership in ${industry ? `the ${industry.toLowerCase()} industry` : 'a forward-thinking team'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Adaptable professional transitioning into ${role ? `a ${role.toLowerCase()} role` : 'a new field'}${skills ? ` with transferable skills in ${skills}` : ''}. Brings a fresh perspective from previous experience and a strong commitment to growing in ${industry ? `the ${industry.toLowerCase()} industry` : 'a forward-thinking team'}.`
+        }
+    },
+    fr: {
+        language: 'French',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'PROFIL PROFESSIONNEL',
+                education: 'FORMATION',
+                experience: 'EXPÉRIENCE PROFESSIONNELLE',
+                projects: 'PROJETS',
+                skills: 'COMPÉTENCES',
+                certifications: 'CERTIFICATIONS ET DISTINCTIONS',
+                interests: 'CENTRES D’INTÉRÊT',
+                volunteering: 'BÉNÉVOLAT',
+                languages: 'LANGUES',
+                awards: 'PRIX',
+                publications: 'PUBLICATIONS',
+                references: 'RÉFÉRENCES',
+                contact: 'CONTACT'
+            },
+            present: 'Aujourd’hui',
+            technologies: 'Technologies',
+            pageNumber: 'Page {page} sur {total}',
+            skillCategories: {
+                languages: 'Langages',
+                frameworks: 'Frameworks et bibliothèques',
+                tools: 'Outils et plateformes',
+                soft: 'Savoir-être',
+                other: 'Autres'
+            },
+            skillLevels: {
+                beginner: 'Débutant',
+                intermediate: 'Intermédiaire',
+                advanced: 'Avancé',
+                expert: 'Expert'
+            },
+            languageLevels: {
+                native: 'Langue maternelle',
+                fluent: 'Courant',
+                professional: 'Compétence professionnelle',
+                conversational: 'Conversationnel',
+                basic: 'Notions'
+            },
+            referencesOnRequest: 'Disponibles sur demande'
+        },
+        formatMonth: monthYear(['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Profil ${role ? `de ${role} ` : ''}motivé${skills ? `, doté de solides bases en ${skills}` : ''}. Souhaite mettre à profit ${hasProjects ? 'une expérience concrète de projets' : 'des connaissances académiques'} pour contribuer utilement tout en continuant à apprendre et à progresser ${industry ? `dans le secteur ${industry}` : 'au sein d’une équipe tournée vers l’avenir'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `Profil ${role ? `de ${role} ` : ''}expérimenté${skills ? `, doté d’une expertise reconnue en ${skills}` : ''}. ${years >= 1 ? `Des résultats concrets depuis plus de ${years} ${years === 1 ? 'an' : 'ans'}` : 'Engagé à obtenir des résultats'}, à la recherche de nouvelles perspectives d’évolution et de leadership ${industry ? `dans le secteur ${industry}` : 'au sein d’une équipe tournée vers l’avenir'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Profil polyvalent en reconversion ${role ? `vers un poste de ${role}` : 'vers un nouveau domaine'}${skills ? `, avec des compétences transférables en ${skills}` : ''}. Apporte un regard neuf issu de ses expériences précédentes et une forte volonté de progresser ${industry ? `dans le secteur ${industry}` : 'au sein d’une équipe tournée vers l’avenir'}.`
+        }
+    },
+    es: {
+        language: 'Spanish',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'PERFIL PROFESIONAL',
+                education: 'FORMACIÓN',
+                experience: 'EXPERIENCIA LABORAL',
+                projects: 'PROYECTOS',
+                skills: 'HABILIDADES',
+                certifications: 'CERTIFICACIONES Y LOGROS',
+                interests: 'INTERESES',
+                volunteering: 'VOLUNTARIADO',
+                languages: 'IDIOMAS',
+                awards: 'PREMIOS',
+                publications: 'PUBLICACIONES',
+                references: 'REFERENCIAS',
+                contact: 'CONTACTO'
+            },
+            present: 'Actualidad',
+            technologies: 'Tecnologías',
+            pageNumber: 'Página {page} de {total}',
+            skillCategories: {
+                languages: 'Lenguajes',
+                frameworks: 'Frameworks y bibliotecas',
+                tools: 'Herramientas y plataformas',
+                soft: 'Habilidades blandas',
+                other: 'Otras'
+            },
+            skillLevels: {
+                beginner: 'Principiante',
+                intermediate: 'Intermedio',
+                advanced: 'Avanzado',
+                expert: 'Experto'
+            },
+            languageLevels: {
+                native: 'Nativo',
+                fluent: 'Fluido',
+                professional: 'Competencia profesional',
+                conversational: 'Conversacional',
+                basic: 'Básico'
+            },
+            referencesOnRequest: 'Disponibles a petición'
+        },
+        formatMonth: monthYear(['ene.', 'feb.', 'mar.', 'abr.', 'may.', 'jun.', 'jul.', 'ago.', 'sept.', 'oct.', 'nov.', 'dic.']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Profesional ${role ? `de ${role} ` : ''}motivado${skills ? ` con una sólida base en ${skills}` : ''}. Con ganas de aplicar ${hasProjects ? 'experiencia práctica en proyectos' : 'conocimientos académicos'} para contribuir de forma significativa mientras sigue aprendiendo y creciendo ${industry ? `en el sector ${industry}` : 'en un equipo innovador'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `Profesional ${role ? `de ${role} ` : ''}con experiencia${skills ? ` y dominio demostrado de ${skills}` : ''}. ${years >= 1 ? `Trayectoria de resultados durante más de ${years} ${years === 1 ? 'año' : 'años'}` : 'Comprometido con la obtención de resultados'} y en busca de oportunidades de crecimiento y liderazgo ${industry ? `en el sector ${industry}` : 'en un equipo innovador'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Profesional versátil en transición hacia ${role ? `un puesto de ${role}` : 'un nuevo campo'}${skills ? ` con habilidades transferibles en ${skills}` : ''}. Aporta una perspectiva nueva desde su experiencia previa y un firme compromiso de crecer ${industry ? `en el sector ${industry}` : 'en un equipo innovador'}.`
+        }
+    },
+    pt: {
+        language: 'Portuguese',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'RESUMO PROFISSIONAL',
+                education: 'FORMAÇÃO ACADÉMICA',
+                experience: 'EXPERIÊNCIA PROFISSIONAL',
+                projects: 'PROJETOS',
+                skills: 'COMPETÊNCIAS',
+                certifications: 'CERTIFICAÇÕES E CONQUISTAS',
+                interests: 'INTERESSES',
+                volunteering: 'VOLUNTARIADO',
+                languages: 'IDIOMAS',
+                awards: 'PRÉMIOS',
+                publications: 'PUBLICAÇÕES',
+                references: 'REFERÊNCIAS',
+                contact: 'CONTACTO'
+            },
+            present: 'Atual',
+            technologies: 'Tecnologias',
+            pageNumber: 'Página {page} de {total}',
+            skillCategories: {
+                languages: 'Linguagens',
+                frameworks: 'Frameworks e bibliotecas',
+                tools: 'Ferramentas e plataformas',
+                soft: 'Competências interpessoais',
+                other: 'Outras'
+            },
+            skillLevels: {
+                beginner: 'Iniciante',
+                intermediate: 'Intermédio',
+                advanced: 'Avançado',
+                expert: 'Especialista'
+            },
+            languageLevels: {
+                native: 'Nativo',
+                fluent: 'Fluente',
+                professional: 'Proficiência profissional',
+                conversational: 'Conversação',
+                basic: 'Básico'
+            },
+            referencesOnRequest: 'Disponíveis mediante pedido'
+        },
+        formatMonth: monthYear(['jan.', 'fev.', 'mar.', 'abr.', 'mai.', 'jun.', 'jul.', 'ago.', 'set.', 'out.', 'nov.', 'dez.']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Profissional ${role ? `de ${role} ` : ''}motivado${skills ? ` com uma base sólida em ${skills}` : ''}. Pronto para aplicar ${hasProjects ? 'experiência prática em projetos' : 'conhecimentos académicos'} e contribuir de forma significativa, continuando a aprender e a crescer ${industry ? `no setor de ${industry}` : 'numa equipa inovadora'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `Profissional ${role ? `de ${role} ` : ''}experiente${skills ? ` com competência comprovada em ${skills}` : ''}. ${years >= 1 ? `Historial de resultados ao longo de mais de ${years} ${years === 1 ? 'ano' : 'anos'}` : 'Empenhado em alcançar resultados'} e à procura de oportunidades de crescimento e liderança ${industry ? `no setor de ${industry}` : 'numa equipa inovadora'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Profissional versátil em transição para ${role ? `uma função de ${role}` : 'uma nova área'}${skills ? ` com competências transferíveis em ${skills}` : ''}. Traz uma nova perspetiva da experiência anterior e um forte compromisso em crescer ${industry ? `no setor de ${industry}` : 'numa equipa inovadora'}.`
+        }
+    },
+    de: {
+        language: 'German',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'PROFIL',
+                education: 'AUSBILDUNG',
+                experience: 'BERUFSERFAHRUNG',
+                projects: 'PROJEKTE',
+                skills: 'KENNTNISSE',
+                certifications: 'ZERTIFIKATE & AUSZEICHNUNGEN',
+                interests: 'INTERESSEN',
+                volunteering: 'EHRENAMT',
+                languages: 'SPRACHEN',
+                awards: 'AUSZEICHNUNGEN',
+                publications: 'PUBLIKATIONEN',
+                references: 'REFERENZEN',
+                contact: 'KONTAKT'
+            },
+            present: 'heute',
+            technologies: 'Technologien',
+            pageNumber: 'Seite {page} von {total}',
+            skillCategories: {
+                languages: 'Programmiersprachen',
+                frameworks: 'Frameworks & Bibliotheken',
+                tools: 'Tools & Plattformen',
+                soft: 'Soft Skills',
+                other: 'Sonstiges'
+            },
+            skillLevels: {
+                beginner: 'Grundkenntnisse',
+                intermediate: 'Fortgeschritten',
+                advanced: 'Sehr gut',
+                expert: 'Experte'
+            },
+            languageLevels: {
+                native: 'Muttersprache',
+                fluent: 'Fließend',
+                professional: 'Verhandlungssicher',
+                conversational: 'Gute Kenntnisse',
+                basic: 'Grundkenntnisse'
+            },
+            referencesOnRequest: 'Auf Anfrage erhältlich'
+        },
+        formatMonth: monthYear(['Jan.', 'Feb.', 'März', 'Apr.', 'Mai', 'Juni', 'Juli', 'Aug.', 'Sept.', 'Okt.', 'Nov.', 'Dez.']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Motivierte Fachkraft${role ? ` im Bereich ${role}` : ''}${skills ? ` mit soliden Grundlagen in ${skills}` : ''}. Möchte ${hasProjects ? 'praktische Projekterfahrung' : 'akademisches Wissen'} gewinnbringend einsetzen und sich ${industry ? `in der Branche ${industry}` : 'in einem zukunftsorientierten Team'} weiterentwickeln.`,
+            trailblazer: ({ role, skills, industry, years }) => `Erfahrene Fachkraft${role ? ` im Bereich ${role}` : ''}${skills ? ` mit nachgewiesener Expertise in ${skills}` : ''}. ${years >= 1 ? `Seit über ${years} ${years === 1 ? 'Jahr' : 'Jahren'} erfolgreich in der Umsetzung von Ergebnissen` : 'Ergebnisorientiert und engagiert'}, auf der Suche nach Möglichkeiten für Wachstum und Führungsverantwortung ${industry ? `in der Branche ${industry}` : 'in einem zukunftsorientierten Team'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Anpassungsfähige Fachkraft im Wechsel ${role ? `in den Bereich ${role}` : 'in ein neues Berufsfeld'}${skills ? ` mit übertragbaren Kompetenzen in ${skills}` : ''}. Bringt eine frische Perspektive aus bisherigen Erfahrungen und den festen Willen mit, sich ${industry ? `in der Branche ${industry}` : 'in einem zukunftsorientierten Team'} weiterzuentwickeln.`
+        }
+    },
+    sw: {
+        language: 'Swahili',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'MUHTASARI WA KITAALUMA',
+                education: 'ELIMU',
+                experience: 'UZOEFU WA KAZI',
+                projects: 'MIRADI',
+                skills: 'UJUZI',
+                certifications: 'VYETI NA MAFANIKIO',
+                interests: 'MAMBO NINAYOPENDA',
+                volunteering: 'KUJITOLEA',
+                languages: 'LUGHA',
+                awards: 'TUZO',
+                publications: 'MACHAPISHO',
+                references: 'WADHAMINI',
+                contact: 'MAWASILIANO'
+            },
+            present: 'Sasa',
+            technologies: 'Teknolojia',
+            pageNumber: 'Ukurasa {page} kati ya {total}',
+            skillCategories: {
+                languages: 'Lugha za programu',
+                frameworks: 'Mifumo na maktaba',
+                tools: 'Zana na majukwaa',
+                soft: 'Ujuzi wa kijamii',
+                other: 'Mengineyo'
+            },
+            skillLevels: {
+                beginner: 'Mwanzo',
+                intermediate: 'Kati',
+                advanced: 'Juu',
+                expert: 'Mtaalamu'
+            },
+            languageLevels: {
+                native: 'Lugha ya kwanza',
+                fluent: 'Fasaha',
+                professional: 'Kiwango cha kikazi',
+                conversational: 'Mazungumzo',
+                basic: 'Msingi'
+            },
+            referencesOnRequest: 'Wanapatikana kwa ombi'
+        },
+        formatMonth: monthYear(['Jan', 'Feb', 'Mac', 'Apr', 'Mei', 'Jun', 'Jul', 'Ago', 'Sep', 'Okt', 'Nov', 'Des']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Mtaalamu ${role ? `wa ${role} ` : ''}mwenye motisha${skills ? ` na msingi imara katika ${skills}` : ''}. Ana hamu ya kutumia ${hasProjects ? 'uzoefu wa vitendo wa miradi' : 'maarifa ya kitaaluma'} kuchangia kwa manufaa huku akiendelea kujifunza na kukua ${industry ? `katika sekta ya ${industry}` : 'katika timu yenye maono'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `Mtaalamu ${role ? `wa ${role} ` : ''}mwenye uzoefu${skills ? ` na ujuzi uliothibitishwa katika ${skills}` : ''}. ${years >= 1 ? `Ana rekodi ya kuleta matokeo kwa zaidi ya miaka ${years}` : 'Amejitolea kuleta matokeo'} na anatafuta fursa za kukua zaidi na kuongoza ${industry ? `katika sekta ya ${industry}` : 'katika timu yenye maono'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Mtaalamu anayebadilika, anayehamia ${role ? `kwenye nafasi ya ${role}` : 'kwenye fani mpya'}${skills ? ` akiwa na ujuzi unaohamishika katika ${skills}` : ''}. Analeta mtazamo mpya kutoka kwa uzoefu wa awali na dhamira thabiti ya kukua ${industry ? `katika sekta ya ${industry}` : 'katika timu yenye maono'}.`
+        }
+    },
+    ru: {
+        language: 'Russian',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: 'О СЕБЕ',
+                education: 'ОБРАЗОВАНИЕ',
+                experience: 'ОПЫТ РАБОТЫ',
+                projects: 'ПРОЕКТЫ',
+                skills: 'НАВЫКИ',
+                certifications: 'СЕРТИФИКАТЫ И ДОСТИЖЕНИЯ',
+                interests: 'ИНТЕРЕСЫ',
+                volunteering: 'ВОЛОНТЁРСТВО',
+                languages: 'ЯЗЫКИ',
+                awards: 'НАГРАДЫ',
+                publications: 'ПУБЛИКАЦИИ',
+                references: 'РЕКОМЕНДАЦИИ',
+                contact: 'КОНТАКТЫ'
+            },
+            present: 'настоящее время',
+            technologies: 'Технологии',
+            pageNumber: 'Страница {page} из {total}',
+            skillCategories: {
+                languages: 'Языки программирования',
+                frameworks: 'Фреймворки и библиотеки',
+                tools: 'Инструменты и платформы',
+                soft: 'Личные качества',
+                other: 'Другое'
+            },
+            skillLevels: {
+                beginner: 'Начальный',
+                intermediate: 'Средний',
+                advanced: 'Продвинутый',
+                expert: 'Эксперт'
+            },
+            languageLevels: {
+                native: 'Родной',
+                fluent: 'Свободно',
+                professional: 'Профессиональный уровень',
+                conversational: 'Разговорный',
+                basic: 'Базовый'
+            },
+            referencesOnRequest: 'Предоставляются по запросу'
+        },
+        formatMonth: monthYear(['янв.', 'февр.', 'март', 'апр.', 'май', 'июнь', 'июль', 'авг.', 'сент.', 'окт.', 'нояб.', 'дек.']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `Мотивированный специалист${role ? ` в области «${role}»` : ''}${skills ? ` с прочной базой в ${skills}` : ''}. Стремится применить ${hasProjects ? 'практический опыт работы над проектами' : 'академические знания'}, чтобы приносить реальную пользу, продолжая учиться и расти ${industry ? `в отрасли «${industry}»` : 'в команде, ориентированной на развитие'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `Опытный специалист${role ? ` в области «${role}»` : ''}${skills ? ` с подтверждённой экспертизой в ${skills}` : ''}. ${years >= 1 ? `Стабильно достигает результатов на протяжении более ${years} ${years % 10 === 1 && years % 100 !== 11 ? 'года' : 'лет'}` : 'Нацелен на результат'} и ищет возможности для дальнейшего роста и лидерства ${industry ? `в отрасли «${industry}»` : 'в команде, ориентированной на развитие'}.`,
+            horizonChanger: ({ role, skills, industry }) => `Гибкий специалист, переходящий ${role ? `в область «${role}»` : 'в новую сферу'}${skills ? `, с переносимыми навыками в ${skills}` : ''}. Привносит свежий взгляд благодаря предыдущему опыту и твёрдо намерен расти ${industry ? `в отрасли «${industry}»` : 'в команде, ориентированной на развитие'}.`
+        }
+    },
+    ar: {
+        language: 'Arabic',
+        direction: 'rtl',
+        labels: {
+            sections: {
+                summary: 'الملخص المهني',
+                education: 'التعليم',
+                experience: 'الخبرة العملية',
+                projects: 'المشاريع',
+                skills: 'المهارات',
+                certifications: 'الشهادات والإنجازات',
+                interests: 'الاهتمامات',
+                volunteering: 'العمل التطوعي',
+                languages: 'اللغات',
+                awards: 'الجوائز',
+                publications: 'المنشورات',
+                references: 'المراجع',
+                contact: 'معلومات الاتصال'
+            },
+            present: 'حتى الآن',
+            technologies: 'التقنيات',
+            pageNumber: 'صفحة {page} من {total}',
+            skillCategories: {
+                languages: 'لغات البرمجة',
+                frameworks: 'الأطر والمكتبات',
+                tools: 'الأدوات والمنصات',
+                soft: 'المهارات الشخصية',
+                other: 'أخرى'
+            },
+            skillLevels: {
+                beginner: 'مبتدئ',
+                intermediate: 'متوسط',
+                advanced: 'متقدم',
+                expert: 'خبير'
+            },
+            languageLevels: {
+                native: 'اللغة الأم',
+                fluent: 'بطلاقة',
+                professional: 'كفاءة مهنية',
+                conversational: 'محادثة',
+                basic: 'أساسي'
+            },
+            referencesOnRequest: 'متاحة عند الطلب'
+        },
+        formatMonth: monthYear(['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `متخصص متحمس${role ? ` في مجال ${role}` : ''}${skills ? ` يمتلك أساساً متيناً في ${skills}` : ''}. يتطلع إلى توظيف ${hasProjects ? 'خبرته العملية في المشاريع' : 'معرفته الأكاديمية'} للإسهام بفاعلية مع مواصلة التعلم والنمو ${industry ? `في قطاع ${industry}` : 'ضمن فريق يتطلع إلى المستقبل'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `متخصص ذو خبرة${role ? ` في مجال ${role}` : ''}${skills ? ` يتمتع بكفاءة مثبتة في ${skills}` : ''}. ${years >= 1 ? `سجل حافل في تحقيق النتائج على مدى أكثر من ${years} ${years >= 3 && years <= 10 ? 'سنوات' : 'سنة'}` : 'ملتزم بتحقيق النتائج'} ويسعى إلى فرص لمزيد من النمو والقيادة ${industry ? `في قطاع ${industry}` : 'ضمن فريق يتطلع إلى المستقبل'}.`,
+            horizonChanger: ({ role, skills, industry }) => `متخصص مرن ينتقل إلى ${role ? `مجال ${role}` : 'مجال جديد'}${skills ? ` بمهارات قابلة للنقل في ${skills}` : ''}. يقدم منظوراً جديداً من خبراته السابقة والتزاماً قوياً بالنمو ${industry ? `في قطاع ${industry}` : 'ضمن فريق يتطلع إلى المستقبل'}.`
+        }
+    },
+    he: {
+        language: 'Hebrew',
+        direction: 'rtl',
+        labels: {
+            sections: {
+                summary: 'תקציר מקצועי',
+                education: 'השכלה',
+                experience: 'ניסיון תעסוקתי',
+                projects: 'פרויקטים',
+                skills: 'כישורים',
+                certifications: 'הסמכות והישגים',
+                interests: 'תחומי עניין',
+                volunteering: 'התנדבות',
+                languages: 'שפות',
+                awards: 'פרסים',
+                publications: 'פרסומים',
+                references: 'ממליצים',
+                contact: 'פרטי קשר'
+            },
+            present: 'היום',
+            technologies: 'טכנולוגיות',
+            pageNumber: 'עמוד {page} מתוך {total}',
+            skillCategories: {
+                languages: 'שפות תכנות',
+                frameworks: 'פריימוורקים וספריות',
+                tools: 'כלים ופלטפורמות',
+                soft: 'כישורים רכים',
+                other: 'אחר'
+            },
+            skillLevels: {
+                beginner: 'מתחיל',
+                intermediate: 'בינוני',
+                advanced: 'מתקדם',
+                expert: 'מומחה'
+            },
+            languageLevels: {
+                native: 'שפת אם',
+                fluent: 'שוטפת',
+                professional: 'רמה מקצועית',
+                conversational: 'שיחה',
+                basic: 'בסיסית'
+            },
+            referencesOnRequest: 'יימסרו לפי בקשה'
+        },
+        formatMonth: monthYear(['ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני', 'יולי', 'אוגוסט', 'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר']),
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `איש מקצוע בעל מוטיבציה${role ? ` בתחום ${role}` : ''}${skills ? ` עם בסיס איתן ב-${skills}` : ''}. שואף ליישם ${hasProjects ? 'ניסיון מעשי בפרויקטים' : 'ידע אקדמי'} כדי לתרום באופן משמעותי תוך המשך למידה וצמיחה ${industry ? `בענף ${industry}` : 'בצוות חדשני'}.`,
+            trailblazer: ({ role, skills, industry, years }) => `איש מקצוע מנוסה${role ? ` בתחום ${role}` : ''}${skills ? ` עם מומחיות מוכחת ב-${skills}` : ''}. ${years >= 1 ? `רקורד מוכח של השגת תוצאות לאורך יותר מ-${years} ${years === 1 ? 'שנה' : 'שנים'}` : 'מחויב להשגת תוצאות'} ומחפש הזדמנויות להמשך צמיחה והובלה ${industry ? `בענף ${industry}` : 'בצוות חדשני'}.`,
+            horizonChanger: ({ role, skills, industry }) => `איש מקצוע גמיש העובר ${role ? `לתחום ${role}` : 'לתחום חדש'}${skills ? ` עם כישורים ניתנים להעברה ב-${skills}` : ''}. מביא נקודת מבט רעננה מניסיון קודם ומחויבות חזקה לצמיחה ${industry ? `בענף ${industry}` : 'בצוות חדשני'}.`
+        }
+    },
+    zh: {
+        language: 'Simplified Chinese',
+        direction: 'ltr',
+        labels: {
+            sections: {
+                summary: '个人简介',
+                education: '教育背景',
+                experience: '工作经历',
+                projects: '项目经历',
+                skills: '专业技能',
+                certifications: '证书与成就',
+                interests: '兴趣爱好',
+                volunteering: '志愿经历',
+                languages: '语言能力',
+                awards: '获奖情况',
+                publications: '发表作品',
+                references: '推荐人',
+                contact: '联系方式'
+            },
+            present: '至今',
+            technologies: '技术栈',
+            pageNumber: '第 {page} 页，共 {total} 页',
+            skillCategories: {
+                languages: '编程语言',
+                frameworks: '框架与库',
+                tools: '工具与平台',
+                soft: '软技能',
+                other: '其他'
+            },
+            skillLevels: {
+                beginner: '入门',
+                intermediate: '中级',
+                advanced: '高级',
+                expert: '专家'
+            },
+            languageLevels: {
+                native: '母语',
+                fluent: '流利',
+                professional: '专业工作水平',
+                conversational: '日常交流',
+                basic: '基础'
+            },
+            referencesOnRequest: '可应要求提供'
+        },
+        formatMonth: (year, month) => `${year}年${month}月`,
+        fallbackSummary: {
+            pathfinder: ({ role, skills, industry, hasProjects }) => `积极进取的${role || '专业人士'}${skills ? `，在${skills}方面具备扎实基础` : ''}。希望运用${hasProjects ? '项目实践经验' : '专业知识'}做出切实贡献，并在${industry ? `${industry}行业` : '富有前瞻性的团队'}中不断学习和成长。`,
+            trailblazer: ({ role, skills, industry, years }) => `经验丰富的${role || '专业人士'}${skills ? `，在${skills}方面拥有公认的专长` : ''}。${years >= 1 ? `拥有${years}年以上的成果交付经验` : '致力于交付成果'}，正在寻求在${industry ? `${industry}行业` : '富有前瞻性的团队'}中进一步发展并承担领导职责的机会。`,
+            horizonChanger: ({ role, skills, industry }) => `适应力强的专业人士，正在转型${role ? `从事${role}工作` : '进入新领域'}${skills ? `，具备${skills}等可迁移技能` : ''}。凭借以往经验带来全新视角，并决心在${industry ? `${industry}行业` : '富有前瞻性的团队'}中成长。`
+        }
+    }
+};
+
+// Look up a locale by code; "fr-CA" falls back to "fr". Null when unsupported.
+function getLocale(code = DEFAULT_LOCALE) {
+    const normalized = String(code).trim().toLowerCase().replace('_', '-');
+    const id = LOCALES[normalized] ? normalized : normalized.split('-')[0];
+    if (!LOCALES[id]) return null;
+    return { code: id, formatDuration: unitDuration(id), ...LOCALES[id] };
+}
+
+const listLocales = () => Object.keys(LOCALES);
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    getLocale,
+    listLocales
+};
@@ -0,0 +1,106 @@
+const { joinParts, languageText, referenceLines } = require('./cvModel');
+
+// Escape characters that Markdown would otherwise treat as formatting
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_\[\]<>|~])/g, '\\$1');
+
+// Link targets are already validated web URLs; only brackets need encoding
+const markdownUrl = (url) => url.replace(/[()<>]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const linkOrText = (text, url) => (url ? `[${escapeMarkdown(text)}](${markdownUrl(url)})` : escapeMarkdown(text));
+
+const bulletList = (items) => items.map(item => `- ${escapeMarkdown(item)}`).join('\n');
+
+// Achievement bullets replace the description when there are any
+const descriptionOrHighlights = (entry) => (entry.highlights.length > 0
+    ? bulletList(entry.highlights)
+    : escapeMarkdown(entry.description));
+
+const sectionWriters = {
+    summary: (cv) => [escapeMarkdown(cv.summary)],
+
+    education: (cv) => cv.education.map(edu => [
+        `### ${escapeMarkdown(edu.degree)}`,
+        `*${escapeMarkdown(joinParts(edu.institution, edu.location))}*`,
+        edu.dateRange ? escapeMarkdown(joinParts(edu.dateRange, edu.duration)) : ''
+    ].filter(Boolean).join('  \n')),
+
+    experience: (cv) => cv.experience.map(exp => [
+        [
+            `### ${escapeMarkdown(exp.position)}`,
+            `*${escapeMarkdown(joinParts(exp.company, exp.location))}*`,
+            exp.dateRange ? escapeMarkdown(joinParts(exp.dateRange, exp.duration)) : ''
+        ].filter(Boolean).join('  \n'),
+        descriptionOrHighlights(exp)
+    ].filter(Boolean).join('\n\n')),
+
+    projects: (cv) => cv.projects.map(project => [
+        `### ${linkOrText(project.title, project.link)}`,
+        descriptionOrHighlights(project),
+        project.technologies ? `**${escapeMarkdown(cv.labels.technologies)}:** ${escapeMarkdown(project.technologies)}` : '',
+        bulletList(project.details)
+    ].filter(Boolean).join('\n\n')),
+
+    skills: (cv) => [cv.skillGroups
+        .map((group) => {
+            const items = group.items.map(escapeMarkdown).join(' • ');
+            return group.label ? `**${escapeMarkdown(group.label)}:** ${items}` : items;
+        })
+        .join('  \n')],
+
+    certifications: (cv) => cv.certifications.map(cert => [
+        `### ${linkOrText(cert.title, cert.link)}`,
+        `*${escapeMarkdown(joinParts(cert.issuer, cert.displayDate))}*`
+    ].join('  \n')),
+
+    volunteering: (cv) => cv.volunteering.map(item => [
+        [
+            `### ${escapeMarkdown(item.role)}`,
+            `*${escapeMarkdown(joinParts(item.organization, item.location))}*`,
+            item.dateRange ? escapeMarkdown(joinParts(item.dateRange, item.duration)) : ''
+        ].filter(Boolean).join('  \n'),
+        descriptionOrHighlights(item)
+    ].filter(Boolean).join('\n\n')),
+
+    languages: (cv) => [cv.languages.map(lang => escapeMarkdown(languageText(lang))).join(' • ')],
+
+    awards: (cv) => cv.awards.map(award => [
+        [
+            `### ${escapeMarkdown(award.title)}`,
+            joinParts(award.issuer, award.displayDate) ? `*${escapeMarkdown(joinParts(award.issuer, award.displayDate))}*` : ''
+        ].filter(Boolean).join('  \n'),
+        award.description ? escapeMarkdown(award.description) : ''
+    ].filter(Boolean).join('\n\n')),
+
+    publications: (cv) => cv.publications.map(publication => [
+        [
+            `### ${linkOrText(publication.title, publication.link)}`,
+            joinParts(publication.publisher, publication.displayDate) ? `*${escapeMarkdown(joinParts(publication.publisher, publication.displayDate))}*` : ''
+        ].filter(Boolean).join('  \n'),
+        publication.description ? escapeMarkdown(publication.description) : ''
+    ].filter(Boolean).join('\n\n')),
+
+    references: (cv) => (cv.referencesOnRequest
+        ? [escapeMarkdown(cv.labels.referencesOnRequest)]
+        : cv.references.map(ref => [`### ${escapeMarkdown(ref.name)}`, ...referenceLines(ref).map(escapeMarkdown)].join('  \n'))),
+
+    interests: (cv) => [cv.interests.map(escapeMarkdown).join(' • ')]
+};
+
+function generateMarkdown(cv) {
+    const header = [`# ${escapeMarkdown(cv.name)}`];
+    if (cv.headline) header.push(`**${escapeMarkdown(cv.headline)}**`);
+
+    const contactParts = [cv.contact.email, cv.contact.phone].filter(Boolean).map(escapeMarkdown);
+    const links = cv.contact.links.map(link => linkOrText(link.label, link.url));
+    const contactLine = [...contactParts, ...links].join(' | ');
+    if (contactLine) header.push(contactLine);
+
+    const blocks = [header.join('\n\n')];
+    cv.sections.forEach((section) => {
+        blocks.push(`## ${escapeMarkdown(cv.labels.sections[section])}\n\n${sectionWriters[section](cv).join('\n\n')}`);
+    });
+
+    return `${blocks.join('\n\n---\n\n')}\n`;
+}
+
+module.exports = { generateMarkdown, escapeMarkdown };
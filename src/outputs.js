@@ -0,0 +1,94 @@
+const { generatePDF } = require('./pdf');
+const { generateDOCX } = require('./docx');
+const { generateText } = require('./text');
+const { generateMarkdown } = require('./markdown');
+const { generateHTML } = require('./html');
+const { toJsonResume } = require('./jsonResume');
+
+const DEFAULT_OUTPUT_FORMAT = 'pdf';
+
+// Document formats the function can return, keyed by `outputFormat`
+const OUTPUT_FORMATS = {
+    pdf: {
+        field: 'pdfData',
+        mimeType: 'application/pdf',
+        extension: 'pdf',
+        render: generatePDF
+    },
+    docx: {
+        field: 'docxData',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+        render: generateDOCX
+    },
+    text: {
+        field: 'textData',
+        mimeType: 'text/plain; charset=utf-8',
+        extension: 'txt',
+        render: generateText
+    },
+    markdown: {
+        field: 'markdownData',
+        mimeType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        render: generateMarkdown
+    },
+    html: {
+        field: 'htmlData',
+        mimeType: 'text/html; charset=utf-8',
+        extension: 'html',
+        render: generateHTML
+    },
+    jsonResume: {
+        field: 'jsonResume',
+        mimeType: 'application/json',
+        extension: 'json',
+        render: toJsonResume
+    }
+};
+
+// Shorthands that expand to several formats
+const FORMAT_ALIASES = {
+    both: ['pdf', 'docx']
+};
+
+// Turn the request's outputFormat (a format, an alias or an array of them) into
+// a list of format ids, or null if any is unknown
+function resolveOutputFormats(outputFormat = DEFAULT_OUTPUT_FORMAT) {
+    const values = Array.isArray(outputFormat) ? outputFormat : [outputFormat];
+    if (values.length === 0) return null;
+
+    const requested = values.flatMap(value => FORMAT_ALIASES[value] || [value]);
+    if (!requested.every(format => OUTPUT_FORMATS[format])) return null;
+    return [...new Set(requested)];
+}
+
+// Render every requested format, keyed by format id. `options` go to every
+// renderer; the PDF takes { maxPages, onLayout }.
+async function renderOutputs(cv, template, formats, options = {}) {
+    const rendered = {};
+    for (const format of formats) {
+        rendered[format] = await OUTPUT_FORMATS[format].render(cv, template, options);
+    }
+    return rendered;
+}
+
+// Response fields for the rendered formats. Binary outputs are base64
+// encoded; text and JSON outputs are returned as they are.
+function toResponseFields(rendered, formats) {
+    const fields = {};
+    formats.forEach((format) => {
+        const output = rendered[format];
+        fields[OUTPUT_FORMATS[format].field] = Buffer.isBuffer(output) ? output.toString('base64') : output;
+    });
+    return fields;
+}
+
+module.exports = {
+    DEFAULT_OUTPUT_FORMAT,
+    OUTPUT_FORMATS,
+    FORMAT_ALIASES,
+    resolveOutputFormats,
+    renderOutputs,
+    toResponseFields
+};
@@ -0,0 +1,131 @@
+const PDFDocument = require('pdfkit');
+const { missingCharacters, createFontSet, collectText } = require('./fonts');
+const { createWriter } = require('./templates/writer');
+
+// Sizes tried, largest first, when the CV has to fit on `maxPages` pages
+const FIT_SCALES = [1, 0.95, 0.9, 0.85, 0.8, 0.75];
+
+// Distance of the page footer from the bottom edge of the page
+const FOOTER_OFFSET = 30;
+
+// Archival mode: PDF/A-2 with basic conformance
+const PDFA_SUBSET = 'PDF/A-2b';
+
+const CREATOR = 'Career4Me CV Generator';
+
+// Title, author, subject and keywords from the talent, career path and skills.
+// PDFKit copies them into the PDF/A metadata stream as they are, so XML
+// markup characters are left out there.
+function documentInfo(cv, { pdfa = false } = {}) {
+    const clean = (text) => (pdfa ? text.replace(/[<>&]/g, ' ').replace(/\s+/g, ' ').trim() : text);
+    return {
+        Title: clean(`${cv.name} - CV`),
+        Author: clean(cv.name),
+        ...(cv.headline && { Subject: clean(cv.headline) }),
+        ...(cv.skills.length > 0 && { Keywords: clean(cv.skills.join(', ')) }),
+        Creator: CREATOR
+    };
+}
+
+// "Page X of Y" centred at the foot of every page, below the template's content
+function addPageNumbers(doc, cv, theme, fonts) {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let index = 0; index < count; index += 1) {
+        doc.switchToPage(start + index);
+        doc.markContent('Artifact', { type: 'Pagination' });
+
+        // PDFKit would start a new page for text inside the bottom margin
+        const { bottom } = doc.page.margins;
+        doc.page.margins.bottom = 0;
+
+        const footer = createWriter(doc, theme, {
+            x: theme.page.margin,
+            width: doc.page.width - theme.page.margin * 2,
+            top: doc.page.height - FOOTER_OFFSET,
+            bottom: doc.page.height,
+            fonts,
+            direction: cv.direction
+        });
+        const label = cv.labels.pageNumber
+            .replace('{page}', index + 1)
+            .replace('{total}', count);
+        footer.write(label, 'footer', { align: 'center' });
+
+        doc.page.margins.bottom = bottom;
+        doc.endMarkedContent();
+    }
+}
+
+// One layout pass at the given scale; resolves to the PDF and its page count.
+// The PDF is tagged (a structure tree in reading order, in the CV's language)
+// with an outline entry per section.
+function renderDocument(cv, template, scale, { pdfa = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            margin: 40,
+            size: 'A4',
+            bufferPages: true,
+            info: documentInfo(cv, { pdfa }),
+            lang: cv.locale,
+            // Tagged PDF needs 1.4 or later, PDF/A-2 needs 1.7
+            pdfVersion: '1.7',
+            tagged: true,
+            displayTitle: true,
+            ...(pdfa && { subset: PDFA_SUBSET })
+        });
+        const buffers = [];
+        let pageCount = 0;
+
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => {
+            const pdfData = Buffer.concat(buffers);
+            resolve({ pdfData, pageCount });
+        });
+        doc.on('error', reject);
+
+        try {
+            const fonts = createFontSet(doc, template.theme, collectText(cv), { embed: pdfa });
+            const structure = doc.struct('Document');
+            doc.addStructure(structure);
+
+            template.render(doc, cv, { fonts, scale, structure });
+            pageCount = doc.bufferedPageRange().count;
+            addPageNumbers(doc, cv, template.theme, fonts);
+            structure.end();
+        } catch (renderError) {
+            reject(renderError);
+            return;
+        }
+
+        doc.end();
+    });
+}
+
+// Render a normalized CV model to a PDF buffer using the given template. With
+// `maxPages`, font sizes and spacing shrink step by step until the CV fits (or
+// the smallest size is reached). `onLayout` receives { pageCount, scale, fits,
+// missingCharacters }, the last being text no bundled font can draw.
+// `pdfa` produces a PDF/A document for archiving.
+async function generatePDF(cv, template, { maxPages, onLayout, pdfa = false } = {}) {
+    const scales = maxPages ? FIT_SCALES : [1];
+
+    let result;
+    let scale;
+    for (scale of scales) {
+        result = await renderDocument(cv, template, scale, { pdfa });
+        if (!maxPages || result.pageCount <= maxPages) break;
+    }
+
+    if (onLayout) {
+        onLayout({
+            pageCount: result.pageCount,
+            scale,
+            fits: !maxPages || result.pageCount <= maxPages,
+            missingCharacters: missingCharacters(collectText(cv), template.theme)
+        });
+    }
+    return result.pdfData;
+}
+
+module.exports = { PDFA_SUBSET, generatePDF };
@@ -0,0 +1,47 @@
+// Profile photos for the CV header. A photo is sent with the request as
+// base64 (optionally as a data URL) or stored in the `buckets.photos` Storage
+// bucket (see services.js) with its file id in the talent document's
+// `photoFileId` attribute. PDFKit draws JPEG and PNG images, so those are the
+// formats accepted.
+const PHOTO_SHAPES = ['circle', 'square'];
+
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+// Base64 length of the largest photo, with room for a data URL prefix
+const MAX_PHOTO_LENGTH = Math.ceil(MAX_PHOTO_BYTES / 3) * 4 + 100;
+
+const SIGNATURES = {
+    jpeg: [0xff, 0xd8, 0xff],
+    png: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+};
+
+const imageFormat = (buffer) => Object.keys(SIGNATURES)
+    .find(format => SIGNATURES[format].every((byte, index) => buffer[index] === byte)) || null;
+
+// { format, data } with the image as base64, or null when the bytes aren't a
+// JPEG or PNG image of an acceptable size
+function photoFromBuffer(buffer) {
+    if (!buffer || buffer.length === 0 || buffer.length > MAX_PHOTO_BYTES) return null;
+    const format = imageFormat(buffer);
+    return format ? { format, data: buffer.toString('base64') } : null;
+}
+
+// The photo in a request's base64 string, or null when it isn't one
+function parsePhoto(value) {
+    if (typeof value !== 'string') return null;
+    const base64 = value.trim().replace(/^data:image\/[a-z+.-]+;base64,/i, '').replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) return null;
+    return photoFromBuffer(Buffer.from(base64, 'base64'));
+}
+
+// The talent's stored photo, or null when the file isn't a usable image
+async function loadStoredPhoto({ storage, buckets }, fileId) {
+    const file = await storage.getFileDownload(buckets.photos, fileId);
+    return photoFromBuffer(Buffer.from(file));
+}
+
+module.exports = {
+    PHOTO_SHAPES,
+    MAX_PHOTO_LENGTH,
+    parsePhoto,
+    loadStoredPhoto
+};
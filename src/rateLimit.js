@@ -0,0 +1,67 @@
+const { ID, Query } = require('node-appwrite');
+const { envNumber } = require('./env');
+const { HttpError } = require('./errors');
+
+// CV generation per talent is limited to `maxRequests` calls in a sliding
+// window of `windowSeconds`. Each call is recorded in the `generations`
+// collection of the `career4me` database:
+//   talentId (string), action (string), createdAt (datetime)
+// The window is shared by every function instance because the count lives in
+// the database rather than in memory. Each call is recorded before the window
+// is counted, so parallel calls see each other and can't all slip under the
+// limit together.
+const DATABASE_ID = 'career4me';
+const GENERATIONS_COLLECTION = 'generations';
+
+const DEFAULT_RATE_LIMIT = { windowSeconds: 3600, maxRequests: 20 };
+
+// RATE_LIMIT_WINDOW_SECONDS and RATE_LIMIT_MAX_REQUESTS; 0 requests turns
+// the limit off
+function rateLimitFromEnv(env = process.env) {
+    return {
+        windowSeconds: envNumber(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_RATE_LIMIT.windowSeconds),
+        maxRequests: envNumber(env.RATE_LIMIT_MAX_REQUESTS, DEFAULT_RATE_LIMIT.maxRequests)
+    };
+}
+
+// Record a generation for the talent, or throw a 429 with `retryAfter`
+// (seconds until the oldest call in the window expires) when the talent is
+// over the limit. A call passes when its record is among the first
+// `maxRequests` of the window; a rejected call takes its record back out.
+async function consumeRateLimit(databases, { talentId, action }, { windowSeconds, maxRequests } = DEFAULT_RATE_LIMIT, now = new Date()) {
+    if (!maxRequests) return;
+
+    const attempt = await databases.createDocument(DATABASE_ID, GENERATIONS_COLLECTION, ID.unique(), {
+        talentId,
+        action,
+        createdAt: now.toISOString()
+    });
+
+    const since = new Date(now.getTime() - windowSeconds * 1000);
+    const recent = await databases.listDocuments(DATABASE_ID, GENERATIONS_COLLECTION, [
+        Query.equal('talentId', talentId),
+        Query.greaterThan('createdAt', since.toISOString()),
+        Query.orderAsc('createdAt'),
+        Query.limit(maxRequests)
+    ]);
+    if (recent.documents.some(doc => doc.$id === attempt.$id)) return;
+
+    try {
+        await databases.deleteDocument(DATABASE_ID, GENERATIONS_COLLECTION, attempt.$id);
+    } catch (deleteError) {
+        // A leftover record only makes the window stricter until it expires
+    }
+    const oldest = new Date(recent.documents[0].createdAt);
+    const retryAfter = Math.max(1, Math.ceil((oldest.getTime() + windowSeconds * 1000 - now.getTime()) / 1000));
+    throw new HttpError(429, `Too many CV generations for this talent; try again in ${retryAfter} seconds`, {
+        retryAfter,
+        limit: maxRequests,
+        windowSeconds
+    }, { 'Retry-After': String(retryAfter) });
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT,
+    rateLimitFromEnv,
+    consumeRateLimit
+};
@@ -0,0 +1,36 @@
+const { Client, Databases, Storage } = require('node-appwrite');
+const { createProvidersFromEnv, retryOptionsFromEnv } = require('./llm');
+const { rateLimitFromEnv } = require('./rateLimit');
+
+// What the handler talks to: the Appwrite client with its database and
+// storage services and the ids of its buckets, the language model providers
+// with their retry settings and the per-talent generation limit. The deployed
+// function builds them from the environment; tests and the local runner pass
+// in-memory fakes to createHandler instead.
+
+// Storage buckets for stored CV versions and profile photos, overridden by
+// CV_BUCKET_ID and PHOTO_BUCKET_ID
+const DEFAULT_BUCKETS = { cvs: 'cvs', photos: 'photos' };
+
+function createServices(env = process.env) {
+    // Initialize client with proper server-side configuration
+    const client = new Client()
+        .setEndpoint(env.APPWRITE_FUNCTION_ENDPOINT || 'https://cloud.appwrite.io/v1')
+        .setProject(env.APPWRITE_FUNCTION_PROJECT_ID || '67d074d0001dadc04f94')
+        .setKey(env.APPWRITE_API_KEY);
+
+    return {
+        client,
+        databases: new Databases(client),
+        storage: new Storage(client),
+        buckets: {
+            cvs: env.CV_BUCKET_ID || DEFAULT_BUCKETS.cvs,
+            photos: env.PHOTO_BUCKET_ID || DEFAULT_BUCKETS.photos
+        },
+        llmProviders: createProvidersFromEnv(env),
+        llmOptions: retryOptionsFromEnv(env),
+        rateLimit: rateLimitFromEnv(env)
+    };
+}
+
+module.exports = { DEFAULT_BUCKETS, createServices };
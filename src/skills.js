@@ -0,0 +1,154 @@
+// Skill taxonomy: one spelling per skill, a category for each skill and
+// relevance ordering. "JS", "javascript " and "JavaScript" are the same skill.
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Known skills by category, in their canonical spelling. Anything else is
+// kept as the talent wrote it and listed under "other".
+const SKILL_CATEGORIES = {
+    languages: [
+        'JavaScript', 'TypeScript', 'Python', 'Java', 'C', 'C++', 'C#', 'Go', 'Rust', 'Ruby', 'PHP', 'Kotlin', 'Swift', 'Dart', 'R', 'Scala', 'SQL', 'HTML', 'CSS', 'Bash'
+    ],
+    frameworks: [
+        'React', 'React Native', 'Angular', 'Vue', 'Svelte', 'Next.js', 'Node.js', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring', 'Laravel', 'Ruby on Rails', '.NET', 'Flutter',
+        'TensorFlow', 'PyTorch', 'scikit-learn', 'Pandas', 'NumPy', 'Tailwind CSS', 'Bootstrap', 'jQuery'
+    ],
+    tools: [
+        'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Firebase', 'Appwrite', 'GraphQL', 'REST', 'APIs',
+        'AWS', 'Azure', 'Google Cloud', 'Docker', 'Kubernetes', 'Terraform', 'Linux', 'Git', 'GitHub', 'CI/CD', 'Jenkins',
+        'Figma', 'Excel', 'Power BI', 'Tableau', 'Jira', 'Salesforce', 'SAP', 'QuickBooks', 'AutoCAD', 'Photoshop', 'VS Code'
+    ],
+    soft: [
+        'Communication', 'Teamwork', 'Leadership', 'Problem Solving', 'Critical Thinking', 'Time Management', 'Collaboration', 'Adaptability', 'Creativity',
+        'Attention to Detail', 'Mentoring', 'Negotiation', 'Public Speaking'
+    ],
+    other: []
+};
+
+const CATEGORY_ORDER = Object.keys(SKILL_CATEGORIES);
+
+// Comparison key: "Node.js", "nodejs" and "Node JS" all become "nodejs"
+const skillKey = (skill) => String(skill).toLowerCase().replace(/[\s.\-_]/g, '');
+
+// Other names for known skills, by comparison key
+const SKILL_ALIASES = {
+    js: 'JavaScript',
+    ecmascript: 'JavaScript',
+    es6: 'JavaScript',
+    ts: 'TypeScript',
+    py: 'Python',
+    python3: 'Python',
+    golang: 'Go',
+    csharp: 'C#',
+    cpp: 'C++',
+    cplusplus: 'C++',
+    html5: 'HTML',
+    css3: 'CSS',
+    shell: 'Bash',
+    reactjs: 'React',
+    reactnativejs: 'React Native',
+    angularjs: 'Angular',
+    vuejs: 'Vue',
+    nextjs: 'Next.js',
+    node: 'Node.js',
+    expressjs: 'Express',
+    rails: 'Ruby on Rails',
+    rubyonrails: 'Ruby on Rails',
+    dotnet: '.NET',
+    aspnet: '.NET',
+    sklearn: 'scikit-learn',
+    scikitlearn: 'scikit-learn',
+    tailwind: 'Tailwind CSS',
+    postgres: 'PostgreSQL',
+    mongo: 'MongoDB',
+    gcp: 'Google Cloud',
+    googlecloudplatform: 'Google Cloud',
+    amazonwebservices: 'AWS',
+    k8s: 'Kubernetes',
+    msexcel: 'Excel',
+    microsoftexcel: 'Excel',
+    powerbi: 'Power BI',
+    vscode: 'VS Code',
+    restapi: 'REST',
+    restapis: 'REST',
+    restful: 'REST',
+    cicd: 'CI/CD',
+    problemsolving: 'Problem Solving',
+    teamplayer: 'Teamwork',
+    publicspeaking: 'Public Speaking'
+};
+
+const CANONICAL = new Map();
+const CATEGORY_OF = new Map();
+CATEGORY_ORDER.forEach((category) => {
+    SKILL_CATEGORIES[category].forEach((skill) => {
+        CANONICAL.set(skillKey(skill), skill);
+        CATEGORY_OF.set(skillKey(skill), category);
+    });
+});
+Object.entries(SKILL_ALIASES).forEach(([alias, skill]) => CANONICAL.set(alias, skill));
+
+// Canonical spelling of a skill; unknown skills keep their own, tidied up
+function normalizeSkill(skill) {
+    const name = String(skill).trim().replace(/\s+/g, ' ');
+    return CANONICAL.get(skillKey(name)) || name;
+}
+
+// Canonical skills without duplicates, first mention first
+function normalizeSkills(skills) {
+    const seen = new Set();
+    return skills.map(normalizeSkill).filter((skill) => {
+        const key = skillKey(skill);
+        if (!skill || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+const categoryOf = (skill) => CATEGORY_OF.get(skillKey(normalizeSkill(skill))) || 'other';
+
+// Proficiency levels keyed by comparison key, so "js" in the request applies to JavaScript
+const levelsByKey = (levels = {}) => new Map(Object.entries(levels).map(([skill, level]) => [skillKey(normalizeSkill(skill)), level]));
+
+// Order for the prompt's key skills: skills the career path requires, then
+// stronger levels, then the order the talent listed them in
+function rankByRelevance(skills, { requiredSkills = [], levels = {} } = {}) {
+    const required = new Set(requiredSkills.map(skill => skillKey(normalizeSkill(skill))));
+    const levelOf = levelsByKey(levels);
+    const score = (skill) => (required.has(skillKey(skill)) ? 10 : 0) + SKILL_LEVELS.indexOf(levelOf.get(skillKey(skill))) + 1;
+
+    return skills
+        .map((skill, index) => ({ skill, index, score: score(skill) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ skill }) => skill);
+}
+
+// Skills by category, in category order, with the career path's required
+// skills first in each group. Each skill is { name, level }.
+function groupSkills(skills, { requiredSkills = [], levels = {} } = {}) {
+    const required = new Set(requiredSkills.map(skill => skillKey(normalizeSkill(skill))));
+    const levelOf = levelsByKey(levels);
+
+    return CATEGORY_ORDER
+        .map(category => ({
+            category,
+            skills: skills
+                .filter(skill => categoryOf(skill) === category)
+                .map((skill, index) => ({ skill, index, first: required.has(skillKey(skill)) }))
+                .sort((a, b) => Number(b.first) - Number(a.first) || a.index - b.index)
+                .map(({ skill }) => ({ name: skill, level: levelOf.get(skillKey(skill)) || null }))
+        }))
+        .filter(group => group.skills.length > 0);
+}
+
+module.exports = {
+    SKILL_LEVELS,
+    SKILL_CATEGORIES,
+    SKILL_ALIASES,
+    skillKey,
+    normalizeSkill,
+    normalizeSkills,
+    categoryOf,
+    rankByRelevance,
+    groupSkills
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { ID, Query } = require('node-appwrite');
+
+// Generated summaries are reused while the talent's inputs stay the same.
+// One document per summary in the `summaries` collection of the `career4me`
+// database:
+//   talentId (string), inputHash (string, 64), summary (string),
+//   provider (string), createdAt (datetime)
+const DATABASE_ID = 'career4me';
+const SUMMARIES_COLLECTION = 'summaries';
+
+// JSON with object keys sorted, so the same inputs always hash the same
+const stableJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Hash of everything the summary prompt is built from
+const summaryInputHash = (inputs) => crypto.createHash('sha256').update(stableJson(inputs)).digest('hex');
+
+// The latest summary generated from these inputs, or null
+async function findCachedSummary(databases, { talentId, inputHash }) {
+    const result = await databases.listDocuments(DATABASE_ID, SUMMARIES_COLLECTION, [
+        Query.equal('talentId', talentId),
+        Query.equal('inputHash', inputHash),
+        Query.orderDesc('createdAt'),
+        Query.limit(1)
+    ]);
+    const [doc] = result.documents;
+    return doc ? { summary: doc.summary, provider: doc.provider, createdAt: doc.createdAt } : null;
+}
+
+async function saveCachedSummary(databases, { talentId, inputHash, summary, provider }) {
+    await databases.createDocument(DATABASE_ID, SUMMARIES_COLLECTION, ID.unique(), {
+        talentId,
+        inputHash,
+        summary,
+        provider,
+        createdAt: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    summaryInputHash,
+    findCachedSummary,
+    saveCachedSummary
+};
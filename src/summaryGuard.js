@@ -0,0 +1,146 @@
+// Guard rails around the generated professional summary. Profile values are
+// cleaned before they go into the prompt, so a skill or career path title
+// can't smuggle in instructions, and the model's answer is tidied and checked
+// against the prompt's rules before it goes on the CV. The cover letter and
+// bullet rewrite prompts clean their values with the same helpers.
+
+// Attempts at a summary that passes the checks before the fallback is used
+const MAX_SUMMARY_ATTEMPTS = 3;
+
+const MAX_SUMMARY_WORDS = 60;
+const MIN_SUMMARY_WORDS = 8;
+const MAX_SUMMARY_SENTENCES = 4;
+
+// Text that tries to talk to the model rather than describe the talent
+const INSTRUCTION_PATTERNS = [
+    /\b(?:ignore|disregard|forget|override)\b.{0,40}\b(?:instructions?|prompt|rules?|above|previous)\b/i,
+    /\b(?:system|developer)\s*(?:prompt|message|instructions?)\b/i,
+    /\byou\s+(?:are|must|should|will)\s+(?:now|instead)\b/i,
+    /\b(?:new|updated)\s+instructions?\b/i,
+    /<\/?\s*(?:system|assistant|user|prompt)\b/i
+];
+
+// Signs of an answer that isn't a CV summary: talk about the request itself,
+// refusals, or content the summary never needs
+const OFF_TOPIC_PATTERNS = [
+    ['talks about being an AI', /\bas an (?:ai|artificial intelligence|language model)\b/i],
+    ['refusal', /\b(?:i am|i'm) (?:sorry|unable|not able)\b|\bi (?:cannot|can't|won't)\b/i],
+    ['chatty lead-in', /^(?:sure|certainly|okay|of course)\b|\bhere(?:'s| is) (?:a|the|your)\b/i],
+    ['link', /\b(?:https?:\/\/|www\.)\S+/i],
+    ['email address', /[^\s@]+@[^\s@]+\.[a-z]{2,}/i],
+    ['code or markup', /```|<\/?[a-z][^>]*>/i]
+];
+
+// Company names the model may have made up: capitalized words ending in a
+// legal form, e.g. "Acme Solutions Ltd"
+const COMPANY_NAME = /\b(?:[A-Z][\w&'-]*\s+){1,4}(?:Inc|Ltd|LLC|PLC|Corp|Corporation|GmbH|Limited|Holdings)\b\.?/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const looksLikeInstruction = (text) => INSTRUCTION_PATTERNS.some(pattern => pattern.test(text));
+
+// One profile value as it may appear in the prompt: a single line without
+// control characters and the characters that act as markup or quoting, cut
+// to `max` characters. Skill spellings like "C#", "C++" or "scikit_learn"
+// keep their symbols. Values that read like instructions to the model become
+// empty.
+function promptText(value, { max = 100 } = {}) {
+    if (value === undefined || value === null) return '';
+    const text = String(value)
+        .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+        .replace(/[`"<>{}[\]\\]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, max)
+        .trim();
+    return looksLikeInstruction(text) ? '' : text;
+}
+
+// A list of profile values for the prompt, without the ones that had to go
+const promptList = (values, options) => (values || []).map(value => promptText(value, options)).filter(Boolean);
+
+// Values dropped by promptList, to report back to the user
+const rejectedValues = (values, options) => (values || []).filter(value => value && !promptText(value, options));
+
+// Words in a summary; a CJK character counts as half a word, roughly how
+// much text it carries
+const countWords = (text) => {
+    const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+    const words = text.replace(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g, ' ').split(/\s+/).filter(Boolean).length;
+    return words + Math.ceil(cjk / 2);
+};
+
+const countSentences = (text) => text.split(/(?<=[.!?。！？])\s*/).filter(part => part.trim()).length;
+
+// Strip what models like to wrap a summary in: a "Summary:" label, markdown,
+// surrounding quotes. Returns the text and the kinds of artifacts removed.
+function cleanSummary(raw) {
+    const removed = [];
+    const strip = (kind, pattern, replacement = '') => {
+        const next = text.replace(pattern, replacement);
+        if (next !== text) removed.push(kind);
+        text = next;
+    };
+
+    let text = raw.trim();
+    strip('label', /^(?:#+\s*)?(?:\*\*)?(?:professional\s+)?summary(?:\*\*)?\s*(?::|\n)\s*(?:\*\*)?\s*/i);
+    strip('markdown', /(\*\*|__|\*|`|^#+\s*|^\s*[-•]\s+)/gm);
+    strip('lineBreaks', /\s*\n+\s*/g, ' ');
+    strip('quotes', /^["'“”‘’«»„]+|["'“”‘’«»„]+$/g);
+    text = text.trim();
+    return { text, removed: [...new Set(removed)] };
+}
+
+// Tidy the model's answer and run the checks. `knownNames` are companies and
+// project names from the talent's own entries, which the summary must not
+// mention. Returns { text, passed, checks } where each check is
+// { check, passed, detail }.
+function checkSummary(raw, { knownNames = [], maxWords = MAX_SUMMARY_WORDS } = {}) {
+    const { text, removed } = cleanSummary(raw);
+    const checks = [];
+    const record = (check, passed, detail) => checks.push({ check, passed, ...(detail && { detail }) });
+
+    record('artifacts', true, removed.length > 0 ? `removed ${removed.join(', ')}` : undefined);
+
+    const words = countWords(text);
+    record('wordCount', words >= MIN_SUMMARY_WORDS && words <= maxWords, `${words} words (${MIN_SUMMARY_WORDS}-${maxWords} allowed)`);
+
+    const sentences = countSentences(text);
+    record('sentences', sentences <= MAX_SUMMARY_SENTENCES, `${sentences} sentences`);
+
+    const mentioned = knownNames
+        .filter(name => name && name.length > 2)
+        .filter(name => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'iu').test(text));
+    const invented = (text.match(COMPANY_NAME) || []).map(name => name.trim());
+    const names = [...new Set([...mentioned, ...invented])];
+    record('companyNames', names.length === 0, names.length > 0 ? `mentions ${names.join(', ')}` : undefined);
+
+    const offTopic = OFF_TOPIC_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([reason]) => reason);
+    if (looksLikeInstruction(text)) offTopic.push('instructions');
+    record('onTopic', offTopic.length === 0, offTopic.length > 0 ? offTopic.join(', ') : undefined);
+
+    return { text, passed: checks.every(item => item.passed), checks };
+}
+
+// Extra prompt lines for another attempt, saying what was wrong with the last one
+function buildRetryPrompt(checks) {
+    const failed = checks.filter(item => !item.passed);
+    return [
+        '',
+        '',
+        'YOUR PREVIOUS ANSWER WAS REJECTED:',
+        ...failed.map(item => `- ${item.check}${item.detail ? `: ${item.detail}` : ''}`),
+        `- Answer with the summary text only: ${MIN_SUMMARY_WORDS}-${MAX_SUMMARY_WORDS} words, no quotes, no markdown, no company or project names`
+    ].join('\n');
+}
+
+module.exports = {
+    MAX_SUMMARY_ATTEMPTS,
+    MAX_SUMMARY_WORDS,
+    promptText,
+    promptList,
+    rejectedValues,
+    cleanSummary,
+    checkSummary,
+    buildRetryPrompt
+};
@@ -0,0 +1,197 @@
+// Job-description tailoring: pull the key requirements out of a job posting,
+// compare them with the talent's skills and career path, and rank CV content
+// by relevance to the role.
+
+const { skillKey } = require('./skills');
+const { promptList } = require('./summaryGuard');
+
+// Skills we look for in job descriptions, on top of the talent's own skills
+// and the career path's required skills
+const COMMON_SKILLS = [
+    'JavaScript', 'TypeScript', 'Python', 'Java', 'C', 'C++', 'C#', 'Go', 'Rust', 'Ruby', 'PHP', 'Kotlin', 'Swift', 'Dart', 'R', 'Scala', 'SQL', 'HTML', 'CSS', 'Bash',
+    'React', 'React Native', 'Angular', 'Vue', 'Svelte', 'Next.js', 'Node.js', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring', 'Laravel', 'Ruby on Rails', '.NET', 'Flutter', 'TensorFlow', 'PyTorch', 'scikit-learn', 'Pandas', 'NumPy',
+    'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Firebase', 'Appwrite', 'GraphQL', 'REST', 'APIs',
+    'AWS', 'Azure', 'Google Cloud', 'Docker', 'Kubernetes', 'Terraform', 'Linux', 'Git', 'CI/CD', 'Jenkins',
+    'Figma', 'Excel', 'Power BI', 'Tableau', 'Jira', 'Salesforce', 'SAP', 'QuickBooks', 'AutoCAD', 'Photoshop',
+    'Machine Learning', 'Data Analysis', 'Data Visualization', 'Statistics', 'Cybersecurity', 'Networking', 'DevOps', 'Agile', 'Scrum', 'Testing', 'UX Design', 'UI Design',
+    'Project Management', 'Product Management', 'Digital Marketing', 'SEO', 'Content Writing', 'Copywriting', 'Accounting', 'Financial Analysis', 'Budgeting', 'Sales', 'Customer Service', 'Research',
+    'Communication', 'Teamwork', 'Leadership', 'Problem Solving', 'Critical Thinking', 'Time Management', 'Collaboration', 'Adaptability', 'Creativity', 'Attention to Detail', 'Mentoring', 'Negotiation', 'Public Speaking'
+];
+
+// Families of closely related skills; having one counts as transferable to another
+const SKILL_FAMILIES = [
+    ['React', 'Vue', 'Angular', 'Svelte', 'Next.js'],
+    ['React Native', 'Flutter', 'Swift', 'Kotlin'],
+    ['Node.js', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring', 'Laravel', 'Ruby on Rails', '.NET'],
+    ['JavaScript', 'TypeScript'],
+    ['Python', 'R', 'Scala'],
+    ['Java', 'C#', 'Kotlin', 'Go', 'C++', 'C', 'Rust'],
+    ['SQL', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Firebase', 'Appwrite'],
+    ['AWS', 'Azure', 'Google Cloud'],
+    ['Docker', 'Kubernetes', 'Terraform', 'CI/CD', 'Jenkins', 'DevOps', 'Linux'],
+    ['Excel', 'Power BI', 'Tableau', 'Data Analysis', 'Data Visualization', 'Statistics'],
+    ['Machine Learning', 'TensorFlow', 'PyTorch', 'scikit-learn', 'Pandas', 'NumPy'],
+    ['Figma', 'UX Design', 'UI Design', 'Photoshop'],
+    ['Agile', 'Scrum', 'Jira', 'Project Management', 'Product Management'],
+    ['Digital Marketing', 'SEO', 'Content Writing', 'Copywriting'],
+    ['Accounting', 'Financial Analysis', 'Budgeting', 'QuickBooks'],
+    ['Communication', 'Public Speaking', 'Negotiation', 'Collaboration', 'Teamwork'],
+    ['Leadership', 'Mentoring', 'Project Management']
+];
+
+const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Position of the first whole-word mention of a skill in the text, or -1. Also
+// accepts the ".js"-less spelling of JavaScript libraries. Very short skills
+// like "C" or "R" must match case and stand alone, to avoid hits on "R&D" or "C-suite".
+function findMention(text, skill) {
+    const variants = [skill];
+    if (/\.js$/i.test(skill)) variants.push(skill.replace(/\.js$/i, ''), skill.replace(/\.js$/i, 'js'));
+
+    const positions = variants.map((variant) => {
+        const pattern = variant.length <= 2
+            ? new RegExp(`(^|[\\s,;/(])${escapeRegExp(variant)}(?=$|[\\s,;/)]|\\.(?:\\s|$))`)
+            : new RegExp(`(^|[^A-Za-z0-9+#])${escapeRegExp(variant)}(?=$|[^A-Za-z0-9+#])`, 'i');
+        const match = pattern.exec(text);
+        return match ? match.index + match[1].length : -1;
+    }).filter(position => position !== -1);
+
+    return positions.length > 0 ? Math.min(...positions) : -1;
+}
+
+const mentions = (text, skill) => findMention(text, skill) !== -1;
+
+const uniqueByKey = (skills) => {
+    const seen = new Set();
+    return skills.filter((skill) => {
+        const key = skillKey(skill);
+        if (!skill || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+// Pull the key requirements out of a job description: the skills it mentions
+// (in order of first appearance) and the years of experience it asks for
+function extractRequirements(jobDescription, extraSkills = []) {
+    const vocabulary = uniqueByKey([...extraSkills, ...COMMON_SKILLS]);
+
+    const skills = vocabulary
+        .map(skill => ({ skill, position: findMention(jobDescription, skill) }))
+        .filter(({ position }) => position !== -1)
+        .sort((a, b) => a.position - b.position)
+        .map(({ skill }) => skill);
+
+    const yearsMatch = jobDescription.toLowerCase().match(/(\d{1,2})\s*\+?\s*(?:years|yrs)/);
+
+    return {
+        skills,
+        yearsOfExperience: yearsMatch ? Number(yearsMatch[1]) : null
+    };
+}
+
+const familyOf = (skill) => SKILL_FAMILIES.filter(family => family.some(member => skillKey(member) === skillKey(skill)));
+
+// Compare the job's requirements with the talent's skills and career path
+function analyzeGaps({ requirements, combinedSkills, careerPath }) {
+    const candidateKeys = new Set(combinedSkills.map(skillKey));
+    const required = requirements.skills;
+
+    const matched = required.filter(skill => candidateKeys.has(skillKey(skill)));
+    const missing = required.filter(skill => !candidateKeys.has(skillKey(skill)));
+
+    // A skill the talent has in the same family as something the job is missing
+    const matchedKeys = new Set(matched.map(skillKey));
+    const transferable = [];
+    combinedSkills.forEach((skill) => {
+        if (matchedKeys.has(skillKey(skill))) return;
+        const related = missing.filter(gap => familyOf(gap).some(family => family.some(member => skillKey(member) === skillKey(skill))));
+        if (related.length > 0) {
+            transferable.push({ skill, relatedTo: related });
+        }
+    });
+
+    const pathSkills = careerPath && Array.isArray(careerPath.requiredSkills) ? careerPath.requiredSkills : [];
+
+    return {
+        requirements: required,
+        yearsOfExperienceRequired: requirements.yearsOfExperience,
+        matched,
+        missing,
+        transferable,
+        matchScore: required.length > 0 ? Math.round((matched.length / required.length) * 100) : null,
+        careerPath: {
+            requiredSkills: pathSkills,
+            matched: pathSkills.filter(skill => candidateKeys.has(skillKey(skill))),
+            missing: pathSkills.filter(skill => !candidateKeys.has(skillKey(skill))),
+            inJobDescription: pathSkills.filter(skill => required.some(req => skillKey(req) === skillKey(skill)))
+        }
+    };
+}
+
+// Skills ordered by relevance: matched requirements first (in the job's order),
+// then transferable skills, then career path skills, then the rest. Within a
+// tier skills keep the order passed in, e.g. rankByRelevance's level order.
+function rankSkills(combinedSkills, gapAnalysis) {
+    const rank = (skill) => {
+        const key = skillKey(skill);
+        const matchIndex = gapAnalysis.matched.findIndex(req => skillKey(req) === key);
+        if (matchIndex !== -1) return matchIndex;
+        if (gapAnalysis.transferable.some(item => skillKey(item.skill) === key)) return 1000;
+        if (gapAnalysis.careerPath.matched.some(req => skillKey(req) === key)) return 2000;
+        return 3000;
+    };
+
+    return combinedSkills
+        .map((skill, index) => ({ skill, index, rank: rank(skill) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(({ skill }) => skill);
+}
+
+// Projects ordered by how many of the job's requirements they mention
+function rankProjects(projects, gapAnalysis) {
+    const score = (project) => {
+        const text = [project.title, project.description, project.technologies, ...(project.highlights || []), ...(project.details || [])]
+            .filter(value => typeof value === 'string')
+            .join(' ');
+        return gapAnalysis.requirements.filter(skill => mentions(text, skill)).length;
+    };
+
+    return projects
+        .map((project, index) => ({ project, index, score: score(project) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ project }) => project);
+}
+
+// Extra prompt lines that steer the summary toward the target role
+function buildTailoringPrompt(gapAnalysis) {
+    const lines = [
+        '',
+        '',
+        'TARGET ROLE:',
+        `- Key Requirements: ${promptList(gapAnalysis.requirements.slice(0, 8), { max: 60 }).join(', ') || 'Not specified'}`,
+        `- Matching Skills To Emphasize: ${promptList(gapAnalysis.matched.slice(0, 4), { max: 60 }).join(', ') || 'None'}`
+    ];
+
+    if (gapAnalysis.transferable.length > 0) {
+        lines.push(`- Transferable Skills: ${promptList(gapAnalysis.transferable.slice(0, 3).map(item => item.skill), { max: 60 }).join(', ')}`);
+    }
+    if (gapAnalysis.yearsOfExperienceRequired) {
+        lines.push(`- Experience Asked For: ${gapAnalysis.yearsOfExperienceRequired}+ years`);
+    }
+    lines.push('- Position the candidate for this role, but never claim skills they do not have');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    MAX_JOB_DESCRIPTION_LENGTH,
+    skillKey,
+    extractRequirements,
+    analyzeGaps,
+    rankSkills,
+    rankProjects,
+    buildTailoringPrompt
+};
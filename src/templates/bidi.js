@@ -0,0 +1,70 @@
+// Minimal right-to-left support for the PDF writer. PDFKit shapes each word
+// (and fontkit reverses the glyphs of Arabic and Hebrew words), but it always
+// places words left to right. For RTL text we break the lines ourselves,
+// reorder the words of each line into visual order and place them one by one.
+
+const RTL_CHARS = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/;
+const LTR_CHARS = /[A-Za-z0-9\u00c0-\u024f\u0370-\u03ff\u0400-\u04ff]/;
+
+const hasRtl = (text) => RTL_CHARS.test(text);
+
+const tokenDirection = (token) => {
+    if (hasRtl(token)) return 'rtl';
+    if (LTR_CHARS.test(token)) return 'ltr';
+    return null;
+};
+
+// Words of one line of a right-to-left paragraph, in left-to-right drawing
+// order: runs of left-to-right words (names, English skills, numbers) keep
+// their order, and everything else reads from the right. Neutral tokens such
+// as "•" or "-" join a left-to-right run only when they sit inside one.
+function toVisualOrder(line) {
+    const tokens = line.split(' ').filter(Boolean);
+    const strong = tokens.map(tokenDirection);
+
+    const directions = strong.map((direction, index) => {
+        if (direction) return direction;
+        const before = strong.slice(0, index).reverse().find(Boolean);
+        const after = strong.slice(index + 1).find(Boolean);
+        return before === 'ltr' && after === 'ltr' ? 'ltr' : 'rtl';
+    });
+
+    const runs = [];
+    tokens.forEach((token, index) => {
+        const last = runs[runs.length - 1];
+        if (last && last.direction === directions[index]) {
+            last.tokens.push(token);
+        } else {
+            runs.push({ direction: directions[index], tokens: [token] });
+        }
+    });
+
+    return runs
+        .reverse()
+        .flatMap(run => (run.direction === 'rtl' ? run.tokens.reverse() : run.tokens));
+}
+
+// Greedy line breaking with the document's current font and size
+function breakLines(doc, text, width) {
+    const lines = [];
+    text.split('\n').forEach((paragraph) => {
+        let current = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && doc.widthOfString(candidate) > width) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        lines.push(current);
+    });
+    return lines;
+}
+
+module.exports = {
+    hasRtl,
+    toVisualOrder,
+    breakLines
+};
@@ -0,0 +1,46 @@
+const { renderSingleColumn } = require('./singleColumn');
+
+// Times-based single-column layout; the original CV look
+const theme = {
+    fonts: {
+        regular: 'Times-Roman',
+        bold: 'Times-Bold',
+        italic: 'Times-Italic'
+    },
+    colors: {
+        text: '#000000',
+        muted: '#333333',
+        subtle: '#666666',
+        link: '#0066cc',
+        rule: '#cccccc',
+        headerRule: '#000000',
+        accent: '#000000'
+    },
+    styles: {
+        name: { font: 'bold', size: 24, color: '#000000' },
+        headline: { font: 'italic', size: 14, color: '#333333' },
+        contact: { font: 'regular', size: 11, color: '#333333' },
+        link: { font: 'regular', size: 10, color: '#0066cc' },
+        heading: { font: 'bold', size: 14, color: '#000000' },
+        entryTitle: { font: 'bold', size: 12, color: '#000000' },
+        entrySubtitle: { font: 'italic', size: 11, color: '#333333' },
+        date: { font: 'regular', size: 10, color: '#666666' },
+        body: { font: 'regular', size: 12, color: '#000000', lineGap: 2 },
+        detail: { font: 'regular', size: 11, color: '#000000', lineGap: 1 },
+        detailMuted: { font: 'regular', size: 11, color: '#333333' },
+        label: { font: 'bold', size: 11, color: '#000000' },
+        footer: { font: 'regular', size: 9, color: '#666666' }
+    },
+    page: { margin: 40, top: 50, bottom: 750 },
+    header: { align: 'center', upperCaseName: true, linkGap: 24, gutter: 16, photoSize: 76, qrSize: 64 },
+    spacing: 1,
+    headingRule: false
+};
+
+module.exports = {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Traditional single-column layout set in Times, suited to academic, legal and public sector roles.',
+    theme,
+    render: (doc, cv, options) => renderSingleColumn(doc, cv, theme, options)
+};
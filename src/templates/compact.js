@@ -0,0 +1,46 @@
+const { renderSingleColumn } = require('./singleColumn');
+
+// Dense single-column layout that fits more content on each page
+const theme = {
+    fonts: {
+        regular: 'Helvetica',
+        bold: 'Helvetica-Bold',
+        italic: 'Helvetica-Oblique'
+    },
+    colors: {
+        text: '#111111',
+        muted: '#444444',
+        subtle: '#777777',
+        link: '#0b5cad',
+        rule: '#dddddd',
+        headerRule: '#111111',
+        accent: '#111111'
+    },
+    styles: {
+        name: { font: 'bold', size: 18, color: '#111111' },
+        headline: { font: 'regular', size: 11, color: '#444444' },
+        contact: { font: 'regular', size: 9, color: '#444444' },
+        link: { font: 'regular', size: 9, color: '#0b5cad' },
+        heading: { font: 'bold', size: 10.5, color: '#111111' },
+        entryTitle: { font: 'bold', size: 10, color: '#111111' },
+        entrySubtitle: { font: 'italic', size: 9, color: '#444444' },
+        date: { font: 'regular', size: 8.5, color: '#777777' },
+        body: { font: 'regular', size: 9.5, color: '#111111', lineGap: 1 },
+        detail: { font: 'regular', size: 9, color: '#111111', lineGap: 0.5 },
+        detailMuted: { font: 'regular', size: 9, color: '#444444' },
+        label: { font: 'bold', size: 9, color: '#111111' },
+        footer: { font: 'regular', size: 8, color: '#777777' }
+    },
+    page: { margin: 36, top: 36, bottom: 790 },
+    header: { align: 'left', upperCaseName: false, linkGap: 24, gutter: 20, photoSize: 60, qrSize: 52 },
+    spacing: 0.55,
+    headingRule: false
+};
+
+module.exports = {
+    id: 'compact',
+    name: 'Compact',
+    description: 'Dense single-column layout in Helvetica with tight spacing, for long histories on few pages.',
+    theme,
+    render: (doc, cv, options) => renderSingleColumn(doc, cv, theme, options)
+};
@@ -0,0 +1,46 @@
+const QRCode = require('qrcode');
+
+// Profile photo and QR code for the template headers, drawn in a square of
+// `size` points with its top left corner at (x, y)
+
+// White margin around the QR code, in modules. Scanners want a light border;
+// the square has its own white background so it reads on shaded sidebars.
+const QR_QUIET_ZONE = 2;
+
+// The photo scaled to cover the square and cropped to a circle or the square
+function drawPhoto(doc, photo, x, y, size) {
+    doc.save();
+    if (photo.shape === 'circle') {
+        doc.circle(x + size / 2, y + size / 2, size / 2).clip();
+    } else {
+        doc.rect(x, y, size, size).clip();
+    }
+    doc.image(Buffer.from(photo.data, 'base64'), x, y, { cover: [size, size], align: 'center', valign: 'center' });
+    doc.restore();
+}
+
+// The QR code as vector squares, so it stays sharp in print. Dark modules
+// next to each other in a row are drawn as one rectangle.
+function drawQrCode(doc, url, x, y, size, { color = '#000000' } = {}) {
+    const { modules } = QRCode.create(url, { errorCorrectionLevel: 'M' });
+    const cell = size / (modules.size + QR_QUIET_ZONE * 2);
+    const offset = (index) => (index + QR_QUIET_ZONE) * cell;
+
+    doc.save();
+    doc.rect(x, y, size, size).fill('#ffffff');
+    for (let row = 0; row < modules.size; row += 1) {
+        let runStart = null;
+        for (let col = 0; col <= modules.size; col += 1) {
+            const dark = col < modules.size && modules.get(row, col);
+            if (dark && runStart === null) runStart = col;
+            if (!dark && runStart !== null) {
+                doc.rect(x + offset(runStart), y + offset(row), (col - runStart) * cell, cell);
+                runStart = null;
+            }
+        }
+    }
+    doc.fill(color);
+    doc.restore();
+}
+
+module.exports = { drawPhoto, drawQrCode };
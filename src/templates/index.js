@@ -0,0 +1,32 @@
+const classic = require('./classic');
+const modern = require('./modern');
+const compact = require('./compact');
+
+const DEFAULT_TEMPLATE = 'classic';
+
+// Registered CV layouts, keyed by the `template` value in the request body
+const templates = new Map();
+
+function registerTemplate(template) {
+    if (!template || !template.id || typeof template.render !== 'function') {
+        throw new Error('A template needs an id and a render function');
+    }
+    templates.set(template.id, template);
+}
+
+function getTemplate(id = DEFAULT_TEMPLATE) {
+    return templates.get(id) || null;
+}
+
+function listTemplates() {
+    return [...templates.values()].map(({ id, name, description }) => ({ id, name, description }));
+}
+
+[classic, modern, compact].forEach(registerTemplate);
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    registerTemplate,
+    getTemplate,
+    listTemplates
+};
@@ -0,0 +1,50 @@
+const { renderTwoColumn } = require('./twoColumn');
+
+// Two-column layout with a shaded sidebar for contact details and skills
+const theme = {
+    fonts: {
+        regular: 'Helvetica',
+        bold: 'Helvetica-Bold',
+        italic: 'Helvetica-Oblique'
+    },
+    colors: {
+        text: '#222222',
+        muted: '#4a4a4a',
+        subtle: '#7a7a7a',
+        link: '#1f6fb2',
+        rule: '#d5dbe3',
+        headerRule: '#1f4e79',
+        accent: '#1f4e79',
+        sidebar: '#eef2f7'
+    },
+    styles: {
+        name: { font: 'bold', size: 26, color: '#1f4e79' },
+        headline: { font: 'regular', size: 13, color: '#4a4a4a' },
+        contact: { font: 'regular', size: 9.5, color: '#4a4a4a' },
+        link: { font: 'regular', size: 9.5, color: '#1f6fb2' },
+        heading: { font: 'bold', size: 12, color: '#1f4e79' },
+        entryTitle: { font: 'bold', size: 11, color: '#222222' },
+        entrySubtitle: { font: 'regular', size: 10, color: '#4a4a4a' },
+        date: { font: 'italic', size: 9, color: '#7a7a7a' },
+        body: { font: 'regular', size: 10, color: '#222222', lineGap: 2 },
+        detail: { font: 'regular', size: 9.5, color: '#222222', lineGap: 1 },
+        detailMuted: { font: 'regular', size: 9.5, color: '#4a4a4a' },
+        label: { font: 'bold', size: 9.5, color: '#222222' },
+        sidebarHeading: { font: 'bold', size: 10.5, color: '#1f4e79' },
+        sidebarTitle: { font: 'bold', size: 9.5, color: '#222222' },
+        sidebarText: { font: 'regular', size: 9.5, color: '#4a4a4a', lineGap: 1 },
+        footer: { font: 'regular', size: 8, color: '#7a7a7a' }
+    },
+    page: { margin: 40, top: 45, bottom: 780 },
+    sidebar: { width: 180, gutter: 25, padding: 20, photoSize: 110, qrSize: 72 },
+    spacing: 0.85,
+    headingRule: true
+};
+
+module.exports = {
+    id: 'modern',
+    name: 'Modern',
+    description: 'Two-column layout in Helvetica with a sidebar for contact details and skills, suited to tech and creative roles.',
+    theme,
+    render: (doc, cv, options) => renderTwoColumn(doc, cv, theme, options)
+};
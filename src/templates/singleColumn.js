@@ -0,0 +1,321 @@
+const { createWriter } = require('./writer');
+const { drawPhoto, drawQrCode } = require('./headerGraphics');
+const { joinParts, languageText, referenceLines } = require('../cvModel');
+
+// Single-column layout used by the classic and compact templates. Every
+// section is stacked top to bottom across the full page width.
+function renderSingleColumn(doc, cv, theme, { fonts, scale, structure } = {}) {
+    const { page, colors, header } = theme;
+    const writer = createWriter(doc, theme, {
+        x: page.margin,
+        width: doc.page.width - page.margin * 2,
+        top: page.top,
+        bottom: page.bottom,
+        fonts,
+        direction: cv.direction,
+        scale,
+        structure
+    });
+
+    renderHeader();
+
+    cv.sections.forEach((section, index) => {
+        writer.beginSection(cv.labels.sections[section]);
+        sectionRenderers[section](writer, cv, theme);
+        writer.endSection();
+
+        if (index < cv.sections.length - 1) {
+            writer.rule({ color: colors.rule, before: 15, after: 20 });
+        }
+    });
+
+    // Header block: name, career path, contact line and profile links, with
+    // the photo on the leading side and the QR code on the trailing side. The
+    // text sits in the space between them, centred vertically against them.
+    function renderHeader() {
+        const align = header.align;
+        const photoSize = cv.photo ? header.photoSize * scale : 0;
+        const qrSize = cv.qrCode ? header.qrSize * scale : 0;
+        const gutter = writer.space(header.gutter);
+
+        // Centred text keeps the same room on both sides so it stays centred
+        const reserve = (size) => (size > 0 ? size + gutter : 0);
+        const before = align === 'center' ? Math.max(reserve(photoSize), reserve(qrSize)) : reserve(photoSize);
+        const after = align === 'center' ? before : reserve(qrSize);
+        const [leftRoom, rightRoom] = writer.rtl ? [after, before] : [before, after];
+
+        const top = writer.y;
+        const text = createWriter(doc, theme, {
+            x: writer.x + leftRoom,
+            width: writer.width - leftRoom - rightRoom,
+            top,
+            bottom: page.bottom,
+            fonts,
+            direction: cv.direction,
+            scale,
+            structure
+        });
+        const imageHeight = Math.max(photoSize, qrSize);
+        text.y = top + Math.max(0, (imageHeight - text.measureBlock(() => renderHeaderText(text))) / 2);
+        renderHeaderText(text);
+
+        if (cv.photo) {
+            const photoX = writer.rtl ? writer.x + writer.width - photoSize : writer.x;
+            writer.artifact(() => drawPhoto(doc, cv.photo, photoX, top, photoSize));
+        }
+        if (cv.qrCode) {
+            const qrX = writer.rtl ? writer.x : writer.x + writer.width - qrSize;
+            writer.artifact(() => drawQrCode(doc, cv.qrCode.url, qrX, top, qrSize, { color: colors.text }));
+        }
+
+        writer.y = Math.max(text.y, top + imageHeight);
+        writer.moveDown(10);
+        writer.rule({ color: colors.headerRule, lineWidth: 1, after: 25 });
+    }
+
+    function renderHeaderText(text) {
+        const align = header.align;
+
+        text.write(header.upperCaseName ? cv.name.toUpperCase() : cv.name, 'name', { align, gap: 8 });
+
+        if (cv.headline) {
+            text.write(cv.headline, 'headline', { align, gap: 8 });
+        }
+
+        const contactParts = [cv.contact.email, cv.contact.phone].filter(Boolean);
+        if (contactParts.length > 0) {
+            text.write(contactParts.join(' | '), 'contact', { align, gap: 4 });
+        }
+
+        if (cv.contact.links.length > 0) {
+            renderLinkRows(text, align);
+            text.moveDown(6);
+        }
+    }
+
+    // Profile links side by side, a measured gap apart, wrapping onto another
+    // row when they don't fit. Right to left, the first link is on the right.
+    function renderLinkRows(text, align) {
+        text.applyStyle('link');
+        const gap = text.space(header.linkGap);
+        const links = cv.contact.links.map(link => ({ ...link, width: doc.widthOfString(link.label) }));
+
+        const rows = [];
+        links.forEach((link) => {
+            const row = rows[rows.length - 1];
+            if (row && row.width + gap + link.width <= text.width) {
+                row.links.push(link);
+                row.width += gap + link.width;
+            } else {
+                rows.push({ links: [link], width: link.width });
+            }
+        });
+
+        const lineHeight = doc.currentLineHeight(true);
+        rows.forEach((row) => {
+            const rowAlign = text.align(align);
+            let linkX = text.x;
+            if (rowAlign === 'center') linkX += (text.width - row.width) / 2;
+            if (rowAlign === 'right') linkX += text.width - row.width;
+
+            (text.rtl ? [...row.links].reverse() : row.links).forEach((link) => {
+                text.mark('link', link.label, () => {
+                    doc.text(link.label, linkX, text.y, { link: link.url, underline: true, width: link.width, lineBreak: false });
+                });
+                linkX += link.width + gap;
+            });
+            text.y += lineHeight;
+        });
+    }
+}
+
+const heading = (writer, cv, theme, section) => {
+    writer.write(cv.labels.sections[section], 'heading', { gap: 5 });
+
+    if (theme.headingRule) {
+        writer.rule({ color: theme.colors.accent, lineWidth: 0.75, after: 6 });
+    }
+};
+
+const bulletList = (writer, items) => {
+    items.forEach((item) => {
+        writer.write(`• ${item}`, 'detail', { indent: 15, gap: 4 });
+    });
+};
+
+// A heading with a single block of text, kept on one page
+const textSection = (writer, cv, theme, section, text) => {
+    writer.keepTogether(() => {
+        heading(writer, cv, theme, section);
+        writer.write(text, 'body', { align: 'justify' });
+    });
+};
+
+// Work experience and volunteering: title, organization, dates, then the
+// achievement bullets or the description
+const datedEntry = (writer, title, organization, entry) => {
+    writer.write(title, 'entryTitle', { gap: 2 });
+    writer.write(organization, 'entrySubtitle', { gap: 1 });
+
+    if (entry.dateRange) {
+        writer.write(joinParts(entry.dateRange, entry.duration), 'date', { gap: 4 });
+    }
+
+    if (entry.highlights.length > 0) {
+        bulletList(writer, entry.highlights);
+    } else if (entry.description) {
+        writer.write(entry.description, 'body', { align: 'justify' });
+    }
+};
+
+// Title (linked when there is a link), a secondary line and an optional description
+const titledEntry = (writer, theme, { title, link, subtitle, description }) => {
+    if (link) {
+        writer.write(title, 'entryTitle', { link, color: theme.colors.link, gap: 2 });
+    } else {
+        writer.write(title, 'entryTitle', { gap: 2 });
+    }
+    if (subtitle) {
+        writer.write(subtitle, 'entrySubtitle', { gap: description ? 3 : 0 });
+    }
+    if (description) {
+        writer.write(description, 'body', { align: 'justify' });
+    }
+};
+
+// A list of entries: each entry stays on one page, and the heading stays
+// with the first entry
+const entrySection = (writer, cv, theme, section, entries, renderEntry, spacing) => {
+    entries.forEach((entry, index) => {
+        writer.keepTogether(() => {
+            if (index === 0) heading(writer, cv, theme, section);
+            renderEntry(entry);
+        });
+
+        if (index < entries.length - 1) {
+            writer.moveDown(spacing);
+        }
+    });
+};
+
+const sectionRenderers = {
+    summary(writer, cv, theme) {
+        textSection(writer, cv, theme, 'summary', cv.summary);
+    },
+
+    education(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'education', cv.education, (edu) => {
+            writer.write(edu.degree, 'entryTitle', { gap: 2 });
+            writer.write(joinParts(edu.institution, edu.location), 'entrySubtitle', { gap: 1 });
+
+            if (edu.dateRange) {
+                writer.write(joinParts(edu.dateRange, edu.duration), 'date', { gap: 4 });
+            }
+        }, 10);
+    },
+
+    experience(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'experience', cv.experience, (exp) => {
+            datedEntry(writer, exp.position, joinParts(exp.company, exp.location), exp);
+        }, 15);
+    },
+
+    volunteering(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'volunteering', cv.volunteering, (item) => {
+            datedEntry(writer, item.role, joinParts(item.organization, item.location), item);
+        }, 15);
+    },
+
+    projects(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'projects', cv.projects, (project) => {
+            if (project.link) {
+                writer.write(project.title, 'entryTitle', { link: project.link, color: theme.colors.link, gap: 2 });
+            } else {
+                writer.write(project.title, 'entryTitle', { gap: 2 });
+            }
+
+            if (project.highlights.length > 0) {
+                bulletList(writer, project.highlights);
+                writer.moveDown(2);
+            } else if (project.description) {
+                writer.write(project.description, 'body', { align: 'justify', gap: 6 });
+            }
+
+            if (project.technologies) {
+                writer.writeLabelled(cv.labels.technologies, project.technologies, 'detailMuted', 'label', { gap: 4 });
+            }
+
+            bulletList(writer, project.details);
+        }, 15);
+    },
+
+    // One line per skill category, e.g. "Languages: JavaScript • Python"
+    skills(writer, cv, theme) {
+        writer.keepTogether(() => {
+            heading(writer, cv, theme, 'skills');
+            cv.skillGroups.forEach((group) => {
+                const items = group.items.join(' • ');
+                if (group.label) {
+                    writer.writeLabelled(group.label, items, 'body', 'label', { gap: 3 });
+                } else {
+                    writer.write(items, 'body', { align: 'justify' });
+                }
+            });
+        });
+    },
+
+    certifications(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'certifications', cv.certifications, (cert) => {
+            if (cert.link) {
+                writer.write(cert.title, 'entryTitle', { link: cert.link, color: theme.colors.link, gap: 2 });
+            } else {
+                writer.write(cert.title, 'entryTitle', { gap: 2 });
+            }
+            writer.write(joinParts(cert.issuer, cert.displayDate), 'entrySubtitle');
+        }, 10);
+    },
+
+    languages(writer, cv, theme) {
+        textSection(writer, cv, theme, 'languages', cv.languages.map(languageText).join(' • '));
+    },
+
+    awards(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'awards', cv.awards, (award) => {
+            titledEntry(writer, theme, {
+                title: award.title,
+                subtitle: joinParts(award.issuer, award.displayDate),
+                description: award.description
+            });
+        }, 10);
+    },
+
+    publications(writer, cv, theme) {
+        entrySection(writer, cv, theme, 'publications', cv.publications, (publication) => {
+            titledEntry(writer, theme, {
+                title: publication.title,
+                link: publication.link,
+                subtitle: joinParts(publication.publisher, publication.displayDate),
+                description: publication.description
+            });
+        }, 10);
+    },
+
+    references(writer, cv, theme) {
+        if (cv.referencesOnRequest) {
+            textSection(writer, cv, theme, 'references', cv.labels.referencesOnRequest);
+            return;
+        }
+        entrySection(writer, cv, theme, 'references', cv.references, (ref) => {
+            writer.write(ref.name, 'entryTitle', { gap: 2 });
+            referenceLines(ref).forEach((line) => {
+                writer.write(line, 'detail', { gap: 2 });
+            });
+        }, 10);
+    },
+
+    interests(writer, cv, theme) {
+        textSection(writer, cv, theme, 'interests', cv.interests.join(' • '));
+    }
+};
+
+module.exports = { renderSingleColumn, sectionRenderers };
@@ -0,0 +1,187 @@
+const { createWriter } = require('./writer');
+const { sectionRenderers } = require('./singleColumn');
+const { drawPhoto, drawQrCode } = require('./headerGraphics');
+
+// Sections that go in the sidebar; everything else flows in the main column
+const SIDEBAR_SECTIONS = ['skills', 'languages', 'certifications', 'interests'];
+
+// Two-column layout used by the modern template. The main column holds the
+// name, summary and the long-form sections; a shaded sidebar on the left holds
+// the photo, the contact details with the QR code, skills and the other short
+// lists. Right-to-left CVs mirror the layout, with the sidebar on the right.
+function renderTwoColumn(doc, cv, theme, { fonts, scale, structure } = {}) {
+    const { page, sidebar, colors } = theme;
+    const direction = cv.direction;
+    const sidebarX = direction === 'rtl' ? doc.page.width - sidebar.width : 0;
+
+    // Main column first, so we know how many pages the sidebar can use
+    const mainWidth = doc.page.width - sidebar.width - sidebar.gutter - page.margin;
+    const main = createWriter(doc, theme, {
+        x: direction === 'rtl' ? page.margin : sidebar.width + sidebar.gutter,
+        width: mainWidth,
+        top: page.top,
+        bottom: page.bottom,
+        fonts,
+        direction,
+        scale,
+        structure
+    });
+
+    const drawSidebarBackground = () => {
+        main.artifact(() => {
+            doc.save()
+               .rect(sidebarX, 0, sidebar.width, doc.page.height)
+               .fill(colors.sidebar)
+               .restore();
+        });
+    };
+
+    drawSidebarBackground();
+    doc.on('pageAdded', drawSidebarBackground);
+
+    main.write(cv.name, 'name', { gap: 4 });
+    if (cv.headline) {
+        main.write(cv.headline, 'headline', { gap: 4 });
+    }
+    main.rule({ color: colors.accent, lineWidth: 1.5, before: 6, after: 18 });
+
+    const mainSections = cv.sections.filter(section => !SIDEBAR_SECTIONS.includes(section));
+    mainSections.forEach((section, index) => {
+        main.beginSection(cv.labels.sections[section]);
+        sectionRenderers[section](main, cv, theme);
+        main.endSection();
+
+        if (index < mainSections.length - 1) {
+            main.moveDown(16);
+        }
+    });
+
+    // Sidebar, starting again from the first page
+    let pageIndex = 0;
+    doc.switchToPage(pageIndex);
+
+    const side = createWriter(doc, theme, {
+        x: sidebarX + sidebar.padding,
+        width: sidebar.width - sidebar.padding * 2,
+        top: page.top,
+        bottom: page.bottom,
+        fonts,
+        direction,
+        scale,
+        structure,
+        onPageBreak: () => {
+            pageIndex += 1;
+            if (pageIndex < doc.bufferedPageRange().count) {
+                doc.switchToPage(pageIndex);
+            } else {
+                doc.addPage();
+            }
+            return page.top;
+        }
+    });
+
+    if (cv.photo) {
+        const size = sidebar.photoSize * scale;
+        const photoX = side.x + (side.width - size) / 2;
+        const photoY = side.y;
+        side.artifact(() => drawPhoto(doc, cv.photo, photoX, photoY, size));
+        side.y += size;
+        side.moveDown(16);
+    }
+
+    renderSidebarContact(doc, side, cv, theme, scale);
+
+    cv.sections
+        .filter(section => SIDEBAR_SECTIONS.includes(section))
+        .forEach((section) => {
+            side.moveDown(16);
+            side.beginSection(cv.labels.sections[section]);
+            sidebarRenderers[section](side, cv, theme);
+            side.endSection();
+        });
+
+    doc.removeListener('pageAdded', drawSidebarBackground);
+}
+
+const sidebarHeading = (writer, cv, section) => {
+    writer.write(cv.labels.sections[section], 'sidebarHeading', { gap: 6 });
+};
+
+function renderSidebarContact(doc, writer, cv, theme, scale) {
+    const { email, phone, links } = cv.contact;
+    if (!email && !phone && links.length === 0) return;
+
+    writer.beginSection(cv.labels.sections.contact);
+    sidebarHeading(writer, cv, 'contact');
+
+    [email, phone].filter(Boolean).forEach((item) => {
+        writer.write(item, 'sidebarText', { gap: 3 });
+    });
+
+    links.forEach((link) => {
+        writer.write(link.label, 'link', { link: link.url, gap: 3 });
+    });
+
+    // Under the links, on the side the text starts from
+    if (cv.qrCode) {
+        const size = theme.sidebar.qrSize * scale;
+        writer.moveDown(6);
+        writer.ensureSpace(size);
+        const qrX = writer.rtl ? writer.x + writer.width - size : writer.x;
+        const qrY = writer.y;
+        writer.artifact(() => drawQrCode(doc, cv.qrCode.url, qrX, qrY, size, { color: theme.colors.text }));
+        writer.y += size;
+    }
+    writer.endSection();
+}
+
+const sidebarRenderers = {
+    // Each category's label stays with its first skill
+    skills(writer, cv) {
+        cv.skillGroups.forEach((group, groupIndex) => {
+            group.items.forEach((item, index) => {
+                writer.keepTogether(() => {
+                    if (groupIndex === 0 && index === 0) sidebarHeading(writer, cv, 'skills');
+                    if (group.label && index === 0) {
+                        if (groupIndex > 0) writer.moveDown(4);
+                        writer.write(group.label, 'sidebarTitle', { gap: 2 });
+                    }
+                    writer.write(`• ${item}`, 'sidebarText', { gap: 2 });
+                });
+            });
+        });
+    },
+
+    languages(writer, cv) {
+        cv.languages.forEach((lang, index) => {
+            writer.keepTogether(() => {
+                if (index === 0) sidebarHeading(writer, cv, 'languages');
+                writer.write(lang.language, 'sidebarTitle', { gap: lang.proficiency ? 1 : 4 });
+                if (lang.proficiency) writer.write(lang.proficiency, 'sidebarText', { gap: 4 });
+            });
+        });
+    },
+
+    certifications(writer, cv, theme) {
+        cv.certifications.forEach((cert, index) => {
+            writer.keepTogether(() => {
+                if (index === 0) sidebarHeading(writer, cv, 'certifications');
+                if (cert.link) {
+                    writer.write(cert.title, 'sidebarTitle', { link: cert.link, color: theme.colors.link, gap: 1 });
+                } else {
+                    writer.write(cert.title, 'sidebarTitle', { gap: 1 });
+                }
+                writer.write([cert.issuer, cert.displayDate].filter(Boolean).join(', '), 'sidebarText', { gap: 6 });
+            });
+        });
+    },
+
+    interests(writer, cv) {
+        writer.keepTogether(() => {
+            sidebarHeading(writer, cv, 'interests');
+            writer.write(cv.interests.join(', '), 'sidebarText');
+        });
+    }
+};
+
+module.exports = { renderTwoColumn, SIDEBAR_SECTIONS };
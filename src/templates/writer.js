@@ -0,0 +1,326 @@
+const { hasRtl, toVisualOrder, breakLines } = require('./bidi');
+
+// Standard fonts only, for callers that don't pass a font set
+const standardFonts = (theme) => ({ font: (weight) => theme.fonts[weight] });
+
+// Alignments as seen from the other side of the page
+const MIRRORED_ALIGN = { left: 'right', right: 'left', justify: 'right' };
+
+// Structure types of tagged text by style; everything else is a paragraph
+const STRUCTURE_TYPES = { name: 'H1', heading: 'H2', sidebarHeading: 'H2' };
+
+// Cursor-based writer shared by the PDF templates. It tracks the vertical
+// position inside one column and breaks onto a new page when it runs out of room.
+// `fonts` picks the font for each block of text (see ../fonts), and with an
+// `rtl` direction text is right-aligned and laid out right to left. `scale`
+// shrinks every font size and spacing, for fitting a CV on fewer pages.
+//
+// With a `structure` element (a tagged PDF), each block of text becomes a
+// structure element under the current section, and rules are marked as
+// layout artifacts. `beginSection` also adds an outline entry, on the page
+// where the section's first text is drawn.
+//
+// Layout is measure-then-draw: `keepTogether` first runs a block in measuring
+// mode, where nothing is drawn and only the cursor moves, then starts a new
+// page if the block won't fit on this one. Text that is taller than the space
+// left is split between lines onto the next page.
+function createWriter(doc, theme, { x, width, top, bottom, onPageBreak, fonts = standardFonts(theme), direction = 'ltr', scale = 1, structure = null }) {
+    let y = top;
+    let measuring = false;
+    let section = null;
+    const rtl = direction === 'rtl';
+
+    // A structure element for one block, under the current section. Text
+    // drawn right to left in visual order carries its logical text along.
+    const startElement = (styleName, text, drawnRtl) => {
+        if (!structure || measuring) return null;
+        const element = doc.struct(STRUCTURE_TYPES[styleName] || 'P', drawnRtl ? { actual: text } : {});
+        (section ? section.element : structure).add(element);
+        return element;
+    };
+
+    // Draw part of a block on the current page, as marked content of its element
+    const drawMarked = (element, draw) => {
+        if (section && !section.bookmarked) {
+            doc.outline.addItem(section.title);
+            section.bookmarked = true;
+        }
+        if (!element) {
+            draw();
+            return;
+        }
+        const content = doc.markStructureContent(element.dictionary.data.S);
+        draw();
+        doc.endMarkedContent();
+        element.add(content);
+    };
+
+    // Decoration that isn't part of the content
+    const artifact = (draw) => {
+        if (!structure) {
+            draw();
+            return;
+        }
+        doc.markContent('Artifact', { type: 'Layout' });
+        draw();
+        doc.endMarkedContent();
+    };
+
+    const applyStyle = (styleName, overrides = {}, text = '') => {
+        const style = { ...theme.styles[styleName], ...overrides };
+        style.size *= scale;
+        style.lineGap = (style.lineGap || 0) * scale;
+        doc.font(fonts.font(style.font, text))
+           .fontSize(style.size)
+           .fillColor(style.color);
+        return style;
+    };
+
+    const nextPage = () => {
+        y = onPageBreak ? onPageBreak() : (doc.addPage(), top);
+    };
+
+    // Draw the lines of `text` that fit above the bottom of the column and
+    // return the rest ('' once everything is drawn)
+    const writeLinesThatFit = (text, textX, options, element) => {
+        const lineHeight = doc.currentLineHeight(true) + options.lineGap;
+        const room = Math.floor((bottom - y) / lineHeight) * lineHeight;
+        if (room <= 0) return text;
+
+        // PDFKit stops at the height limit, so the drawn lines stay justified
+        drawMarked(element, () => doc.text(text, textX, y, { ...options, height: room }));
+
+        // Line wrapping is greedy, so the drawn lines hold the longest run of
+        // words that fits in the same height
+        const tokens = text.split(/(\s+)/);
+        let low = 1;
+        let high = tokens.length;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (doc.heightOfString(tokens.slice(0, middle).join(''), options) <= room + 0.01) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return tokens.slice(low).join('').trim();
+    };
+
+    // Right-to-left lines, broken and reordered by hand
+    const rtlLayout = (text, textWidth, lineGap) => {
+        const lines = breakLines(doc, text, textWidth);
+        return { lines, height: lines.length * (doc.currentLineHeight(true) + lineGap) };
+    };
+
+    // Place the words of one RTL line individually, so PDFKit never has to
+    // order them (it would also carry spaces to the wrong side of RTL words)
+    const drawRtlLine = (line, lineX, lineY, { width: lineWidth, align, link, underline }) => {
+        const words = toVisualOrder(line);
+        const spaceWidth = doc.widthOfString(' ');
+        const widths = words.map(word => doc.widthOfString(word));
+        const total = widths.reduce((sum, wordWidth) => sum + wordWidth, 0) + spaceWidth * (words.length - 1);
+
+        let wordX = lineX;
+        if (align === 'right') wordX += lineWidth - total;
+        if (align === 'center') wordX += (lineWidth - total) / 2;
+
+        words.forEach((word, index) => {
+            doc.text(word, wordX, lineY, { lineBreak: false, link, underline });
+            wordX += widths[index] + spaceWidth;
+        });
+    };
+
+    const writer = {
+        x,
+        width,
+        top,
+        bottom,
+        rtl,
+
+        get y() {
+            return y;
+        },
+
+        set y(value) {
+            y = value;
+        },
+
+        // Scale a spacing value by the template's spacing factor
+        space(points) {
+            return points * theme.spacing * scale;
+        },
+
+        moveDown(points) {
+            y += writer.space(points);
+        },
+
+        applyStyle,
+        artifact,
+
+        // Start a section (structure element and outline entry) titled `title`
+        beginSection(title) {
+            section = {
+                title,
+                bookmarked: false,
+                element: structure ? doc.struct('Sect', { title }) : null
+            };
+            if (section.element) structure.add(section.element);
+        },
+
+        endSection() {
+            if (section && section.element) section.element.end();
+            section = null;
+        },
+
+        // Tag text a template draws itself (such as a row of links) as one block
+        mark(styleName, text, draw) {
+            if (measuring) return;
+            const element = startElement(styleName, text, false);
+            drawMarked(element, draw);
+            if (element) element.end();
+        },
+
+        // Alignment for this writer's direction; templates are written left to right
+        align(align = 'left') {
+            return rtl ? MIRRORED_ALIGN[align] || align : align;
+        },
+
+        measure(text, styleName, { indent = 0, lineGap } = {}) {
+            const style = applyStyle(styleName, {}, text);
+            const gap = lineGap !== undefined ? lineGap : style.lineGap;
+            if (rtl && hasRtl(text)) {
+                return rtlLayout(text, width - indent, gap).height;
+            }
+            return doc.heightOfString(text, { width: width - indent, lineGap: gap });
+        },
+
+        ensureSpace(required) {
+            if (!measuring && y + required > bottom) {
+                nextPage();
+            }
+        },
+
+        // Height of what `draw` would write, without drawing anything
+        measureBlock(draw) {
+            const [startY, wasMeasuring] = [y, measuring];
+            measuring = true;
+            y = 0;
+            try {
+                draw();
+                return y;
+            } finally {
+                y = startY;
+                measuring = wasMeasuring;
+            }
+        },
+
+        // Draw a block (a heading with its first entry, one entry) on a single
+        // page: move to the next page first unless it fits on this one. Blocks
+        // taller than a whole page start here and are split.
+        keepTogether(draw) {
+            if (!measuring) {
+                const height = writer.measureBlock(draw);
+                if (height <= bottom - top) writer.ensureSpace(height);
+            }
+            draw();
+        },
+
+        // Write a block of text and move the cursor below it
+        write(text, styleName, { indent = 0, align = 'left', link, underline, gap = 0, color, lineGap } = {}) {
+            const style = applyStyle(styleName, color ? { color } : {}, text);
+            const options = {
+                width: width - indent,
+                align: writer.align(align),
+                lineGap: lineGap !== undefined ? lineGap : style.lineGap
+            };
+            if (link) {
+                options.link = link;
+                options.underline = underline !== undefined ? underline : true;
+            }
+
+            // Indents come off the right-hand side in RTL
+            const textX = rtl ? x : x + indent;
+
+            if (measuring) {
+                y += writer.measure(text, styleName, { indent, lineGap: options.lineGap }) + writer.space(gap);
+                return;
+            }
+
+            if (rtl && hasRtl(text)) {
+                const element = startElement(styleName, text, true);
+                const lineHeight = doc.currentLineHeight(true) + options.lineGap;
+                rtlLayout(text, options.width, options.lineGap).lines.forEach((line) => {
+                    if (y + lineHeight > bottom && y > top) {
+                        nextPage();
+                        applyStyle(styleName, color ? { color } : {}, text);
+                    }
+                    drawMarked(element, () => drawRtlLine(line, textX, y, options));
+                    y += lineHeight;
+                });
+                if (element) element.end();
+                y += writer.space(gap);
+                return;
+            }
+
+            const element = startElement(styleName, text, false);
+            let rest = text;
+            while (y + doc.heightOfString(rest, options) > bottom) {
+                const remaining = writeLinesThatFit(rest, textX, options, element);
+                // A line taller than a whole page is drawn as it is
+                if (remaining === rest && y <= top) break;
+                rest = remaining;
+                if (!rest) break;
+                nextPage();
+                applyStyle(styleName, color ? { color } : {}, text);
+            }
+            if (rest) {
+                drawMarked(element, () => doc.text(rest, textX, y, options));
+                y += doc.heightOfString(rest, options);
+            }
+            if (element) element.end();
+            y += writer.space(gap);
+        },
+
+        // Write "Label: value" with the label in its own style
+        writeLabelled(label, text, styleName, labelStyleName, { gap = 0 } = {}) {
+            // Mixed styles within a line aren't supported right to left
+            if (rtl) {
+                writer.write(`${label}: ${text}`, styleName, { gap });
+                return;
+            }
+
+            const content = `${label}: ${text}`;
+            const height = writer.measure(content, styleName);
+            if (measuring) {
+                y += height + writer.space(gap);
+                return;
+            }
+
+            writer.mark(styleName, content, () => {
+                applyStyle(labelStyleName, {}, content);
+                doc.text(`${label}: `, x, y, { width, continued: true });
+                applyStyle(styleName, {}, content);
+                doc.text(text);
+            });
+            y += height + writer.space(gap);
+        },
+
+        rule({ color = theme.colors.rule, lineWidth = 0.5, before = 0, after = 0 } = {}) {
+            y += writer.space(before);
+            if (!measuring) {
+                artifact(() => {
+                    doc.moveTo(x, y)
+                       .lineTo(x + width, y)
+                       .strokeColor(color)
+                       .lineWidth(lineWidth)
+                       .stroke();
+                });
+            }
+            y += writer.space(after);
+        }
+    };
+
+    return writer;
+}
+
+module.exports = { createWriter };
@@ -0,0 +1,90 @@
+const { languageText, referenceLines } = require('./cvModel');
+
+// ATS-friendly plain text: no columns, no tables, one fact per line
+const RULE = '-'.repeat(60);
+
+const joinParts = (...parts) => parts.filter(Boolean).join(' | ');
+
+// Achievement bullets replace the description when there are any
+const descriptionOrHighlights = (entry) => (entry.highlights.length > 0
+    ? entry.highlights.map(item => `- ${item}`)
+    : [entry.description]);
+
+const sectionWriters = {
+    summary: (cv) => [cv.summary],
+
+    education: (cv) => cv.education.map(edu => [
+        edu.degree,
+        joinParts(edu.institution, edu.location),
+        joinParts(edu.dateRange, edu.duration)
+    ].filter(Boolean).join('\n')),
+
+    experience: (cv) => cv.experience.map(exp => [
+        exp.position,
+        joinParts(exp.company, exp.location),
+        joinParts(exp.dateRange, exp.duration),
+        ...descriptionOrHighlights(exp)
+    ].filter(Boolean).join('\n')),
+
+    projects: (cv) => cv.projects.map(project => [
+        project.link ? `${project.title} (${project.link})` : project.title,
+        ...descriptionOrHighlights(project),
+        project.technologies ? `${cv.labels.technologies}: ${project.technologies}` : '',
+        ...project.details.map(detail => `- ${detail}`)
+    ].filter(Boolean).join('\n')),
+
+    skills: (cv) => [cv.skillGroups
+        .map(group => (group.label ? `${group.label}: ${group.items.join(', ')}` : group.items.join(', ')))
+        .join('\n')],
+
+    certifications: (cv) => cv.certifications.map(cert => [
+        cert.link ? `${cert.title} (${cert.link})` : cert.title,
+        joinParts(cert.issuer, cert.displayDate)
+    ].join('\n')),
+
+    volunteering: (cv) => cv.volunteering.map(item => [
+        item.role,
+        joinParts(item.organization, item.location),
+        joinParts(item.dateRange, item.duration),
+        ...descriptionOrHighlights(item)
+    ].filter(Boolean).join('\n')),
+
+    languages: (cv) => [cv.languages.map(languageText).join(', ')],
+
+    awards: (cv) => cv.awards.map(award => [
+        award.title,
+        joinParts(award.issuer, award.displayDate),
+        award.description
+    ].filter(Boolean).join('\n')),
+
+    publications: (cv) => cv.publications.map(publication => [
+        publication.link ? `${publication.title} (${publication.link})` : publication.title,
+        joinParts(publication.publisher, publication.displayDate),
+        publication.description
+    ].filter(Boolean).join('\n')),
+
+    references: (cv) => (cv.referencesOnRequest
+        ? [cv.labels.referencesOnRequest]
+        : cv.references.map(ref => [ref.name, ...referenceLines(ref)].join('\n'))),
+
+    interests: (cv) => [cv.interests.join(', ')]
+};
+
+function generateText(cv) {
+    const header = [cv.name.toUpperCase()];
+    if (cv.headline) header.push(cv.headline);
+
+    const contactParts = [cv.contact.email, cv.contact.phone].filter(Boolean);
+    if (contactParts.length > 0) header.push(contactParts.join(' | '));
+    cv.contact.links.forEach(link => header.push(`${link.label}: ${link.url}`));
+
+    const blocks = [header.join('\n')];
+    cv.sections.forEach((section) => {
+        const title = cv.labels.sections[section];
+        blocks.push(`${title}\n${RULE}\n${sectionWriters[section](cv).join('\n\n')}`);
+    });
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = { generateText };
@@ -0,0 +1,105 @@
+const { parseDate, isPresent, monthIndex, currentMonth } = require('./dates');
+
+// Chronology of dated entries (work experience and education): their
+// periods, durations, newest-first order, total experience and date warnings.
+
+// Start and end of an entry. A missing end date counts as ongoing, the way
+// the CV shows it ("Jan 2022 - Present").
+function entryPeriod(entry, now = new Date()) {
+    const start = parseDate(entry.startDate);
+    const ongoing = isPresent(entry.endDate) || (!entry.endDate && Boolean(start));
+    const end = ongoing ? currentMonth(now) : parseDate(entry.endDate);
+    return { start, end, ongoing };
+}
+
+// Months covered, counting both the first and last month when both dates
+// have one ("Jan 2022 - Jun 2022" is 6 months, "2019 - 2023" is 4 years).
+// Null when a date is missing or the dates are the wrong way round.
+function durationInMonths({ start, end }) {
+    if (!start || !end) return null;
+    const months = monthIndex(end) - monthIndex(start) + (start.month && end.month ? 1 : 0);
+    return months >= 0 ? months : null;
+}
+
+const isInverted = ({ start, end }) => Boolean(start && end) && monthIndex(start) > monthIndex(end);
+
+// Newest first: ongoing and recently ended entries on top, then by start date.
+// Entries without dates keep their relative order at the bottom.
+function sortNewestFirst(entries, now = new Date()) {
+    const key = (date) => (date ? monthIndex(date) : -Infinity);
+
+    return entries
+        .map((entry, index) => ({ entry, index, period: entryPeriod(entry, now) }))
+        .sort((a, b) => key(b.period.end) - key(a.period.end)
+            || key(b.period.start) - key(a.period.start)
+            || a.index - b.index)
+        .map(({ entry }) => entry);
+}
+
+// Half-open month interval for overlap and total calculations
+const interval = (period) => {
+    const start = monthIndex(period.start);
+    return [start, Math.max(start + 1, monthIndex(period.end) + (period.start.month && period.end.month ? 1 : 0))];
+};
+
+// Total months covered by the entries, counting overlapping periods once
+function totalMonths(entries, now = new Date()) {
+    const intervals = entries
+        .map(entry => entryPeriod(entry, now))
+        .filter(period => durationInMonths(period) !== null)
+        .map(interval)
+        .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let current = null;
+    intervals.forEach(([start, end]) => {
+        if (current && start <= current[1]) {
+            current[1] = Math.max(current[1], end);
+            return;
+        }
+        if (current) total += current[1] - current[0];
+        current = [start, end];
+    });
+    if (current) total += current[1] - current[0];
+    return total;
+}
+
+// Warnings for start dates after end dates and for entries whose periods
+// overlap. `describe` names an entry in the message, e.g. "Intern at Acme".
+function checkTimeline(entries, { field, describe, now = new Date() }) {
+    const warnings = [];
+    const periods = entries.map(entry => entryPeriod(entry, now));
+
+    periods.forEach((period, index) => {
+        if (isInverted(period)) {
+            warnings.push({ field, message: `${describe(entries[index])}: start date is after the end date` });
+        }
+    });
+
+    const valid = periods
+        .map((period, index) => ({ index, period }))
+        .filter(({ period }) => durationInMonths(period) !== null);
+
+    valid.forEach((a, position) => {
+        valid.slice(position + 1).forEach((b) => {
+            const [aStart, aEnd] = interval(a.period);
+            const [bStart, bEnd] = interval(b.period);
+            if (Math.min(aEnd, bEnd) - Math.max(aStart, bStart) > 1) {
+                warnings.push({
+                    field,
+                    message: `${describe(entries[a.index])} overlaps with ${describe(entries[b.index])}`
+                });
+            }
+        });
+    });
+
+    return warnings;
+}
+
+module.exports = {
+    entryPeriod,
+    durationInMonths,
+    sortNewestFirst,
+    totalMonths,
+    checkTimeline
+};
@@ -0,0 +1,537 @@
+const { HttpError } = require('./errors');
+const { DATE_FORMATS, parseDate, isPresent } = require('./dates');
+const { MAX_JOB_DESCRIPTION_LENGTH } = require('./tailoring');
+const { SECTION_ORDER, LANGUAGE_LEVELS, QR_CODE_TARGETS } = require('./cvModel');
+const { SKILL_LEVELS } = require('./skills');
+const { PHOTO_SHAPES, MAX_PHOTO_LENGTH, parsePhoto } = require('./photo');
+
+// Declarative request validation. A schema maps each field to a rule; a rule
+// checks one value, records problems on the context and returns the cleaned
+// value. Malformed values are errors (the request is rejected with a 400),
+// while list entries missing their required fields are dropped and reported
+// as warnings.
+
+const MAX_ENTRIES = 30;
+const MAX_PAGES = 10;
+const MAX_BATCH_SIZE = 50;
+const MAX_BATCH_CONCURRENCY = 5;
+
+const FORMATS = {
+    email: {
+        test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+        message: 'must be a valid email address'
+    },
+    phone: {
+        test: (value) => /^\+?[0-9 ()\-.]{7,20}$/.test(value) && value.replace(/\D/g, '').length >= 7,
+        message: 'must be a valid phone number'
+    },
+    url: {
+        test: (value) => isWebUrl(value),
+        message: 'must be a valid http(s) URL'
+    },
+    linkedinUrl: {
+        test: (value) => isWebUrl(value, /(^|\.)linkedin\.com$/),
+        message: 'must be a linkedin.com URL'
+    },
+    githubUrl: {
+        test: (value) => isWebUrl(value, /(^|\.)github\.com$/),
+        message: 'must be a github.com URL'
+    },
+    date: {
+        test: (value) => parseDate(value) !== null,
+        message: 'must be a date such as 2023-06, Jun 2023 or 2023'
+    },
+    endDate: {
+        test: (value) => isPresent(value) || parseDate(value) !== null,
+        message: 'must be a date such as 2023-06, Jun 2023 or 2023, or "Present"'
+    },
+    photo: {
+        test: (value) => parsePhoto(value) !== null,
+        message: 'must be a base64-encoded JPEG or PNG image of at most 2 MB'
+    }
+};
+
+// http(s) URL, where a bare domain like "linkedin.com/in/me" is accepted too
+function isWebUrl(value, hostPattern) {
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+    try {
+        const url = new URL(withScheme);
+        if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) return false;
+        return hostPattern ? hostPattern.test(url.hostname.toLowerCase()) : true;
+    } catch (urlError) {
+        return false;
+    }
+}
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const addError = (ctx, field, message) => ctx.errors.push({ field, message });
+
+const addWarning = (ctx, field, message) => ctx.warnings.push({ field, message });
+
+// Rules
+
+const string = ({ max = 200, format, required = false } = {}) => (value, field, ctx) => {
+    if (isBlank(value)) {
+        if (required) addError(ctx, field, 'is required');
+        return '';
+    }
+    if (typeof value !== 'string') {
+        addError(ctx, field, 'must be a string');
+        return '';
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.length > max) {
+        addError(ctx, field, `must be at most ${max} characters`);
+    } else if (format && !FORMATS[format].test(trimmed)) {
+        addError(ctx, field, FORMATS[format].message);
+    }
+    return trimmed;
+};
+
+const boolean = () => (value, field, ctx) => {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== 'boolean') {
+        addError(ctx, field, 'must be true or false');
+        return undefined;
+    }
+    return value;
+};
+
+const integer = ({ min, max }) => (value, field, ctx) => {
+    if (value === undefined || value === null) return undefined;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        addError(ctx, field, `must be a whole number from ${min} to ${max}`);
+        return undefined;
+    }
+    return value;
+};
+
+const object = () => (value, field, ctx) => {
+    if (value === undefined || value === null) return undefined;
+    if (!isPlainObject(value)) {
+        addError(ctx, field, 'must be an object');
+        return undefined;
+    }
+    return value;
+};
+
+const oneOf = (values, { required = false } = {}) => (value, field, ctx) => {
+    if (value === undefined || value === null) {
+        if (required) addError(ctx, field, 'is required');
+        return undefined;
+    }
+    if (!values.includes(value)) {
+        addError(ctx, field, `must be one of: ${values.join(', ')}`);
+        return undefined;
+    }
+    return value;
+};
+
+// Ordered list of distinct values from a fixed set; duplicates keep their first position
+const orderedSubset = (values) => (value, field, ctx) => {
+    if (value === undefined || value === null) return undefined;
+    if (!Array.isArray(value)) {
+        addError(ctx, field, `must be an array of: ${values.join(', ')}`);
+        return undefined;
+    }
+
+    const unknown = value.filter(item => !values.includes(item));
+    if (unknown.length > 0) {
+        addError(ctx, field, `unknown values: ${unknown.join(', ')} (allowed: ${values.join(', ')})`);
+        return undefined;
+    }
+    return [...new Set(value)];
+};
+
+// A string, or a non-empty array of strings
+const stringOrList = ({ max = 50 } = {}) => (value, field, ctx) => {
+    if (value === undefined || value === null) return undefined;
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || !values.every(item => typeof item === 'string' && item.trim() && item.length <= max)) {
+        addError(ctx, field, 'must be a string or a non-empty array of strings');
+        return undefined;
+    }
+    return value;
+};
+
+// List of short strings such as skills; blank items are skipped
+const stringList = ({ max = 60, maxItems = 100 } = {}) => (value, field, ctx) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        addError(ctx, field, 'must be an array of strings');
+        return [];
+    }
+    if (value.length > maxItems) {
+        addError(ctx, field, `must have at most ${maxItems} items`);
+    }
+
+    return value
+        .map((item, index) => string({ max })(item, `${field}[${index}]`, ctx))
+        .filter(Boolean);
+};
+
+// Free-form list that may also come as a comma-separated string
+const stringListOrText = ({ max, maxItems }) => (value, field, ctx) => {
+    if (Array.isArray(value)) return stringList({ max, maxItems })(value, field, ctx).join(', ');
+    return string({ max: max * maxItems })(value, field, ctx);
+};
+
+// Object of short names (such as skills) to a value from a fixed set, e.g.
+// { "JavaScript": "advanced" }; values are matched case-insensitively
+const valueMap = (values, { max = 60, maxItems = 100 } = {}) => (value, field, ctx) => {
+    if (value === undefined || value === null) return undefined;
+    if (!isPlainObject(value)) {
+        addError(ctx, field, `must be an object mapping names to one of: ${values.join(', ')}`);
+        return undefined;
+    }
+    const entries = Object.entries(value);
+    if (entries.length > maxItems) {
+        addError(ctx, field, `must have at most ${maxItems} entries`);
+    }
+
+    const cleaned = {};
+    entries.forEach(([key, item]) => {
+        const name = key.trim();
+        if (!name || name.length > max) {
+            addError(ctx, `${field}.${key}`, `names must be 1 to ${max} characters`);
+            return;
+        }
+        const result = oneOf(values)(typeof item === 'string' ? item.trim().toLowerCase() : item, `${field}.${name}`, ctx);
+        if (result) cleaned[name] = result;
+    });
+    return cleaned;
+};
+
+const shape = (fields) => (value, field, ctx) => {
+    if (value === undefined || value === null) return {};
+    if (!isPlainObject(value)) {
+        addError(ctx, field, 'must be an object');
+        return {};
+    }
+
+    const cleaned = {};
+    Object.entries(fields).forEach(([key, rule]) => {
+        const result = rule(value[key], `${field}.${key}`, ctx);
+        if (!isBlank(result)) cleaned[key] = result;
+    });
+    return cleaned;
+};
+
+// List of CV entries. Entries without their required fields are dropped with a warning.
+const entryList = ({ label, required, fields, maxItems = MAX_ENTRIES }) => (value, field, ctx) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        addError(ctx, field, 'must be an array');
+        return [];
+    }
+    if (value.length > maxItems) {
+        addError(ctx, field, `must have at most ${maxItems} entries`);
+        return [];
+    }
+
+    const kept = [];
+    value.forEach((item, index) => {
+        const itemField = `${field}[${index}]`;
+        if (!isPlainObject(item)) {
+            addError(ctx, itemField, 'must be an object');
+            return;
+        }
+
+        const cleaned = {};
+        Object.entries(fields).forEach(([key, rule]) => {
+            cleaned[key] = rule(item[key], `${itemField}.${key}`, ctx);
+        });
+
+        const missing = required.filter(key => isBlank(cleaned[key]));
+        if (missing.length > 0) {
+            addWarning(ctx, itemField, `${label} entry dropped: missing ${missing.join(', ')}`);
+            return;
+        }
+        kept.push(cleaned);
+    });
+    return kept;
+};
+
+// A single CV entry, e.g. one saved through the stored sections actions.
+// Unlike in lists, missing required fields are errors. Every field is kept,
+// blank ones included, so an update can clear a field.
+const entry = ({ required, fields }) => (value, field, ctx) => {
+    if (value === undefined || value === null) {
+        addError(ctx, field, 'is required');
+        return {};
+    }
+    if (!isPlainObject(value)) {
+        addError(ctx, field, 'must be an object');
+        return {};
+    }
+
+    const cleaned = {};
+    Object.entries(fields).forEach(([key, rule]) => {
+        cleaned[key] = rule(value[key], `${field}.${key}`, ctx);
+    });
+    required.filter(key => isBlank(cleaned[key])).forEach(key => addError(ctx, `${field}.${key}`, 'is required'));
+    return cleaned;
+};
+
+// Schemas
+
+const ENTRY_DEFINITIONS = {
+    educationDetails: {
+        label: 'Education',
+        required: ['degree', 'institution'],
+        fields: {
+            degree: string({ max: 150 }),
+            institution: string({ max: 150 }),
+            location: string({ max: 100 }),
+            startDate: string({ max: 30, format: 'date' }),
+            endDate: string({ max: 30, format: 'endDate' })
+        }
+    },
+    workExperiences: {
+        label: 'Work experience',
+        required: ['company', 'position'],
+        fields: {
+            position: string({ max: 150 }),
+            company: string({ max: 150 }),
+            location: string({ max: 100 }),
+            startDate: string({ max: 30, format: 'date' }),
+            endDate: string({ max: 30, format: 'endDate' }),
+            description: string({ max: 2000 }),
+            highlights: stringList({ max: 300, maxItems: 10 })
+        }
+    },
+    projects: {
+        label: 'Project',
+        required: ['title', 'description'],
+        fields: {
+            title: string({ max: 150 }),
+            description: string({ max: 2000 }),
+            link: string({ max: 500, format: 'url' }),
+            technologies: stringListOrText({ max: 60, maxItems: 20 }),
+            details: stringList({ max: 300, maxItems: 10 }),
+            highlights: stringList({ max: 300, maxItems: 10 })
+        }
+    },
+    certifications: {
+        label: 'Certification',
+        required: ['title', 'issuer'],
+        fields: {
+            title: string({ max: 150 }),
+            issuer: string({ max: 150 }),
+            date: string({ max: 30, format: 'date' }),
+            link: string({ max: 500, format: 'url' })
+        }
+    },
+    languages: {
+        label: 'Language',
+        required: ['language'],
+        fields: {
+            language: string({ max: 60 }),
+            proficiency: oneOf(LANGUAGE_LEVELS)
+        }
+    },
+    volunteering: {
+        label: 'Volunteering',
+        required: ['role', 'organization'],
+        fields: {
+            role: string({ max: 150 }),
+            organization: string({ max: 150 }),
+            location: string({ max: 100 }),
+            startDate: string({ max: 30, format: 'date' }),
+            endDate: string({ max: 30, format: 'endDate' }),
+            description: string({ max: 2000 }),
+            highlights: stringList({ max: 300, maxItems: 10 })
+        }
+    },
+    awards: {
+        label: 'Award',
+        required: ['title'],
+        fields: {
+            title: string({ max: 150 }),
+            issuer: string({ max: 150 }),
+            date: string({ max: 30, format: 'date' }),
+            description: string({ max: 500 })
+        }
+    },
+    publications: {
+        label: 'Publication',
+        required: ['title'],
+        fields: {
+            title: string({ max: 300 }),
+            publisher: string({ max: 150 }),
+            date: string({ max: 30, format: 'date' }),
+            link: string({ max: 500, format: 'url' }),
+            description: string({ max: 500 })
+        }
+    },
+    references: {
+        label: 'Reference',
+        required: ['name'],
+        maxItems: 5,
+        fields: {
+            name: string({ max: 100 }),
+            position: string({ max: 150 }),
+            organization: string({ max: 150 }),
+            relationship: string({ max: 150 }),
+            email: string({ max: 254, format: 'email' }),
+            phone: string({ max: 30, format: 'phone' })
+        }
+    }
+};
+
+const ENTRY_RULES = Object.fromEntries(
+    Object.entries(ENTRY_DEFINITIONS).map(([section, definition]) => [section, entryList(definition)])
+);
+
+const CONTACT_INFO_FIELDS = {
+    email: string({ max: 254, format: 'email' }),
+    phone: string({ max: 30, format: 'phone' }),
+    linkedin: string({ max: 500, format: 'linkedinUrl' }),
+    github: string({ max: 500, format: 'githubUrl' }),
+    portfolio: string({ max: 500, format: 'url' })
+};
+
+const CONTACT_INFO_RULE = shape(CONTACT_INFO_FIELDS);
+
+// Sections that can be saved per talent instead of sent with every request
+const STORED_SECTIONS = [
+    'contactInfo', 'educationDetails', 'workExperiences', 'projects', 'certifications', 'languages',
+    'volunteering', 'awards', 'publications', 'references'
+];
+
+const GENERATE_SCHEMA = {
+    talentId: string({ max: 64, required: true }),
+    template: string({ max: 50 }),
+    locale: string({ max: 20 }),
+    dateFormat: oneOf(Object.keys(DATE_FORMATS)),
+    sections: orderedSubset(SECTION_ORDER),
+    outputFormat: stringOrList(),
+    maxPages: integer({ min: 1, max: MAX_PAGES }),
+    pdfa: boolean(),
+    anonymize: boolean(),
+    regenerateSummary: boolean(),
+    // A base64 photo for the header, or the talent's stored one with includePhoto
+    photo: string({ max: MAX_PHOTO_LENGTH, format: 'photo' }),
+    includePhoto: boolean(),
+    photoShape: oneOf(PHOTO_SHAPES),
+    qrCode: oneOf(QR_CODE_TARGETS),
+    jobDescription: string({ max: MAX_JOB_DESCRIPTION_LENGTH }),
+    enhanceDescriptions: boolean(),
+    persist: boolean(),
+    inlineData: boolean(),
+    jsonResume: object(),
+    additionalSkills: stringList(),
+    skillLevels: valueMap(SKILL_LEVELS),
+    interests: stringList(),
+    contactInfo: CONTACT_INFO_RULE,
+    // Print "available on request" instead of listing referees
+    referencesOnRequest: boolean(),
+    ...ENTRY_RULES
+};
+
+const COVER_LETTER_SCHEMA = {
+    talentId: string({ max: 64, required: true }),
+    companyName: string({ max: 200, required: true }),
+    roleTitle: string({ max: 200, required: true }),
+    jobDescription: string({ max: MAX_JOB_DESCRIPTION_LENGTH }),
+    template: string({ max: 50 }),
+    additionalSkills: stringList(),
+    skillLevels: valueMap(SKILL_LEVELS),
+    contactInfo: CONTACT_INFO_RULE,
+    educationDetails: ENTRY_RULES.educationDetails,
+    workExperiences: ENTRY_RULES.workExperiences,
+    projects: ENTRY_RULES.projects
+};
+
+// Options of a generate request that a batch applies to every CV; each
+// talent's CV data comes from their saved sections
+const BATCH_OPTIONS = ['template', 'locale', 'dateFormat', 'sections', 'maxPages', 'pdfa', 'anonymize', 'regenerateSummary', 'includePhoto', 'photoShape', 'qrCode', 'jobDescription', 'enhanceDescriptions'];
+
+// Talents are picked by id or with a filter on their `talents` document
+const BATCH_SCHEMA = {
+    talentIds: stringList({ max: 64, maxItems: MAX_BATCH_SIZE }),
+    filter: shape({
+        careerStage: string({ max: 50 }),
+        selectedPath: string({ max: 64 })
+    }),
+    limit: integer({ min: 1, max: MAX_BATCH_SIZE }),
+    concurrency: integer({ min: 1, max: MAX_BATCH_CONCURRENCY }),
+    ...Object.fromEntries(BATCH_OPTIONS.map(field => [field, GENERATE_SCHEMA[field]]))
+};
+
+// Body of the stored sections actions; the entry itself is checked with
+// validateSectionEntry once the section is known
+const SECTION_ACTION_SCHEMA = {
+    talentId: string({ max: 64, required: true }),
+    section: oneOf(STORED_SECTIONS, { required: true }),
+    entryId: string({ max: 64 }),
+    entry: object()
+};
+
+// Validate a request body against a schema. Returns the cleaned values (only
+// fields in the schema; blank optional fields are left out) plus any errors
+// and warnings.
+function validateRequest(body, schema) {
+    const ctx = { errors: [], warnings: [] };
+    const value = {};
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const result = rule(body[field], field, ctx);
+        if (result !== undefined && result !== '') value[field] = result;
+    });
+
+    return { value, errors: ctx.errors, warnings: ctx.warnings };
+}
+
+// Parse the raw request body, rejecting anything that isn't a JSON object
+function parseRequestBody(rawBody) {
+    if (isPlainObject(rawBody)) return rawBody;
+    if (typeof rawBody !== 'string' || !rawBody.trim()) return {};
+
+    let parsed;
+    try {
+        parsed = JSON.parse(rawBody);
+    } catch (parseError) {
+        throw new HttpError(400, 'Request body must be valid JSON', { details: parseError.message });
+    }
+
+    if (!isPlainObject(parsed)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return parsed;
+}
+
+// Validate one saved entry of a section, or the contact details
+function validateSectionEntry(section, value) {
+    const definition = section === 'contactInfo'
+        ? { required: [], fields: CONTACT_INFO_FIELDS }
+        : ENTRY_DEFINITIONS[section];
+    return validateRequest({ entry: value }, { entry: entry(definition) });
+}
+
+// Throw a 400 listing every field-level error
+function assertValid({ errors }) {
+    if (errors.length > 0) {
+        throw new HttpError(400, 'Request validation failed', { errors });
+    }
+}
+
+module.exports = {
+    FORMATS,
+    MAX_PAGES,
+    MAX_BATCH_SIZE,
+    MAX_BATCH_CONCURRENCY,
+    STORED_SECTIONS,
+    GENERATE_SCHEMA,
+    COVER_LETTER_SCHEMA,
+    BATCH_SCHEMA,
+    SECTION_ACTION_SCHEMA,
+    validateRequest,
+    validateSectionEntry,
+    parseRequestBody,
+    assertValid
+};
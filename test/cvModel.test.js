@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCvModel } = require('../src/cvModel');
+
+const talent = { fullname: 'Amina Njoroge', careerStage: 'Pathfinder' };
+
+test('shows the end date alone when an entry has no start date', () => {
+    const cv = buildCvModel({
+        talent,
+        educationDetails: [{ degree: 'BSc Computer Science', institution: 'University of Nairobi', endDate: '2023-06' }],
+        workExperiences: [
+            { position: 'Intern', company: 'Acme Ltd', startDate: '2023-01', endDate: '2023-06' },
+            { position: 'Engineer', company: 'Acme Ltd', startDate: '2023-07' }
+        ]
+    });
+
+    assert.equal(cv.education[0].dateRange, 'Jun 2023');
+    assert.deepEqual(cv.experience.map(exp => exp.dateRange), ['Jan 2023 - Jun 2023', 'Jul 2023 - Present']);
+});
@@ -0,0 +1,35 @@
+const zlib = require('zlib');
+
+// Text drawn with the PDF standard fonts, read back from a PDFKit document:
+// each content stream is inflated and the hex strings of its TJ operators are
+// decoded as WinAnsi. Enough for checking what a CV says, not a PDF parser.
+function extractPdfText(pdf) {
+    const source = pdf.toString('latin1');
+    const lines = [];
+
+    for (const match of source.matchAll(/(?<!end)stream\r?\n/g)) {
+        const dictionary = source.slice(Math.max(0, match.index - 200), match.index);
+        const length = dictionary.match(/\/Length (\d+)/g);
+        if (!length) continue;
+
+        const start = match.index + match[0].length;
+        const data = pdf.subarray(start, start + Number(length[length.length - 1].split(' ')[1]));
+
+        let content;
+        try {
+            content = (dictionary.includes('/FlateDecode') ? zlib.inflateSync(data) : data).toString('latin1');
+        } catch (inflateError) {
+            continue;
+        }
+
+        for (const [, operands] of content.matchAll(/\[([^\]]*)\]\s*TJ/g)) {
+            lines.push([...operands.matchAll(/<([0-9a-fA-F]*)>/g)]
+                .map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1'))
+                .join(''));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = { extractPdfText };
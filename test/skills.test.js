@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSkills, rankByRelevance, groupSkills } = require('../src/skills');
+
+test('merges aliases and spelling variants into one canonical skill', () => {
+    assert.deepEqual(
+        normalizeSkills(['JavaScript', 'javascript ', 'JS', 'reactjs', 'React', 'Node JS', '  Event  Planning ']),
+        ['JavaScript', 'React', 'Node.js', 'Event Planning']
+    );
+});
+
+test('groups skills by category with the career path skills first', () => {
+    const groups = groupSkills(['Figma', 'Teamwork', 'React', 'Git', 'Python', 'Baking'], {
+        requiredSkills: ['git'],
+        levels: { python: 'expert' }
+    });
+
+    assert.deepEqual(groups.map(group => group.category), ['languages', 'frameworks', 'tools', 'soft', 'other']);
+    assert.deepEqual(groups[0].skills, [{ name: 'Python', level: 'expert' }]);
+    assert.deepEqual(groups[2].skills.map(skill => skill.name), ['Git', 'Figma']);
+});
+
+test('ranks required skills first, then by level, then in listed order', () => {
+    assert.deepEqual(
+        rankByRelevance(['Teamwork', 'React', 'SQL', 'Python', 'Excel'], {
+            requiredSkills: ['Python', 'sql'],
+            levels: { React: 'advanced', Excel: 'beginner' }
+        }),
+        ['SQL', 'Python', 'React', 'Excel', 'Teamwork']
+    );
+});